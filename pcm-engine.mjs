@@ -0,0 +1,3336 @@
+// Headless PCM engine: sampling, quantization, encoding, reconstruction and
+// the SNR and quality measurements. Nothing here touches the DOM or Chart.js,
+// so the page (script.js) and the Node tests (test/) share one implementation.
+
+// --- Constants ---
+const HARMONIC_THRESHOLD = 0.05; // Harmonics below 5% of the fundamental are ignored for Nyquist
+const EXPRESSION_POINTS_PER_SECOND = 5000; // Analog resolution when the bandwidth is unknown
+const WAV_MAX_ANALOG_POINTS = 20000; // Cap on plotted file samples per window
+const G711_LEVELS = 256; // G.711 words are always 8 bits
+const TRANSFER_CURVE_POINTS = 1001; // Resolution of the transfer curve plot
+const PREFILTER_RESPONSE_POINTS = 501; // Resolution of the magnitude response plot
+export const PREFILTER_FLOOR_DB = -100;
+const NOISE_SHAPING_FILTERS = { 1: [1], 2: [2, -1] }; // Error feedback taps, NTF = 1 - Σ h_k z^-k
+const ERROR_HISTOGRAM_BINS = 40;
+const ADM_RUN_LENGTH = 3; // Equal bits in a row that grow the ADM step
+const ADM_MAX_STEP_RATIO = 64; // ADM step ceiling, in multiples of the minimum step
+const SDM_MAX_INPUT = 0.7; // Peak input relative to the feedback reference
+const SDM_INTEGRATOR_LIMIT = 8; // Integrator clamp, in multiples of the reference
+export const TDM_SLOT_BITS = 8; // T1 and E1 time slots
+const TDM_PREVIEW_FRAMES = 4; // Frames listed bit by bit
+const DECODE_MAX_WORDS = 20000; // Words accepted by the bitstream decoder
+const DECODE_POINTS_PER_SAMPLE = 20; // Grid for non-ZOH decoded reconstruction
+export const LINE_CODE_MAX_BITS = 96; // Bits drawn on the line code chart
+const LINE_CODE_PSD_POINTS = 401; // PSD resolution over 0..4 Rb
+export const SPECTRUM_IMAGE_SPAN = 3; // Spectrum chart covers 0..3 fs to show images
+const SPECTRUM_MIN_FFT = 4096; // Zero-padded FFT length for short records
+const SPECTRUM_MAX_FFT = 1 << 20;
+const SPECTRUM_MAX_POINTS = 2000; // Plotted points per trace (peak-preserving)
+const SPECTRUM_PEAK_COUNT = 6;
+const SPECTRUM_PEAK_RANGE_DB = 50; // Peaks further below the highest are ignored
+const SPECTRUM_PEAK_SEPARATION = 5; // Min peak spacing, in 1/duration bins
+export const SPECTRUM_FLOOR_DB = -200; // Clamp for log of zero
+const SPECTRUM_RANGE_DB = 140; // Visible range below the highest peak
+export const SPECTRUM_TRACE_LABELS = {
+  analog: "Analog",
+  sampled: "Sampled",
+  quantized: "Quantized",
+  reconstructed: "Reconstructed",
+};
+const METRIC_HARMONICS = 5; // Harmonics counted in THD
+const METRIC_LOBE_BINS = { rectangular: 2, hann: 3, blackman: 4 }; // Tone band half-width
+const METRIC_DIVERGENCE_DB = 3; // Measured vs theoretical SNR gap worth explaining
+const METRIC_MIN_SAMPLES = 64;
+const METRIC_FIT_MAX_SAMPLES = 16384; // Record length for the frequency search fits
+
+// --- Data Generation ---
+/**
+ * Analog source (see calculateWaveValue for the waveforms). `phase` is in
+ * degrees; `components` is the tone list for "multitone", `expression` the
+ * x(t) source for "expression" and `audio` the decoded file for "wav".
+ * @typedef {object} SignalSettings
+ * @property {string} waveform
+ * @property {number} frequency Hz
+ * @property {number} amplitude
+ * @property {number} phase
+ * @property {number} [harmonicCount]
+ * @property {number} [decayRate]
+ * @property {number} [dcOffset]
+ * @property {{ frequency: number, amplitude: number, phase: number }[]} [components]
+ * @property {string} [expression]
+ * @property {{ sampleRate: number, samples: ArrayLike<number> }} [audio]
+ */
+
+/**
+ * Everything one run needs. Each optional group is documented at the function
+ * that consumes it; left out, the run uses uniform offset-binary PCM, an ideal
+ * clock and channel, no dither or prefilter, NRZ-L at samplingRate * numBits
+ * and ZOH reconstruction.
+ * @typedef {object} PcmOptions
+ * @property {SignalSettings} signal
+ * @property {number} samplingRate Hz
+ * @property {number} numLevels Quantization levels, any integer >= 2
+ * @property {number} startTime Seconds; samples fall at startTime + n / fs
+ * @property {number} endTime Seconds
+ * @property {object} [quantizer] { type, mu, aLaw, midTread, fullScale }, see
+ *   createQuantizer; a null/0 fullScale fits the range to the signal
+ * @property {object} [reconstruction] { method, sincTaps, sincWindow, cutoff,
+ *   order }, see reconstructSignal
+ * @property {object} [encoding] { mode, predictorCoefficients, residualBits,
+ *   stepSize, stepGrowth, codeFormat, sdmOrder, oversamplingRatio,
+ *   modulatorBits }, see createEncoder and formatLevelCode
+ * @property {object} [lineCode] { code, bitRate }, see buildLineCoding
+ * @property {object} [channel] { type, errorProbability, snrDb, seed }, see
+ *   transmitBits
+ * @property {object} [dither] { type, amplitude, shapingOrder, seed }, see
+ *   createDitheredQuantizer; PCM only
+ * @property {object} [prefilter] { type, cutoff, order, ripple }, see
+ *   designPrefilter
+ * @property {object} [jitter] { type, rms, frequency, offset, seed } in
+ *   seconds and Hz, see createSamplingClock
+ * @property {boolean} [encodeOnly] Stop after sampling, quantizing and
+ *   encoding (no channel, reconstruction, line coding or analysis) and return
+ *   only what buildTdm needs from a channel: { sampledData, quantizedData,
+ *   pcmCodes, levelIndices, numBits, numLevels, samplingRate, decodeWords }
+ */
+
+/**
+ * Samples, quantizes, encodes, transmits and reconstructs one signal window.
+ * @param {PcmOptions} options
+ * @returns {object} The traces, codes and statistics the UI plots; {} for an
+ *   empty window
+ * @throws {Error} If the signal is not finite at a time the run evaluates
+ */
+export function generatePCMData({
+  signal,
+  samplingRate,
+  numLevels,
+  startTime,
+  endTime,
+  quantizer: quantizerSettings = { type: "uniform" },
+  reconstruction: reconstructionSettings = { method: "zoh" },
+  encoding: encodingSettings = { mode: "pcm" },
+  lineCode: lineCodeSettings = { code: "nrzl", bitRate: null },
+  channel: channelSettings = { type: "none" },
+  dither: ditherSettings = { type: "none", shapingOrder: 0 },
+  prefilter: prefilterSettings = { type: "none" },
+  jitter: jitterSettings = { type: "none", offset: 0 },
+  encodeOnly = false,
+}) {
+  const analogData = [];
+  const sampledData = [];
+  const quantizedData = [];
+  const errorData = [];
+  const pcmCodes = [];
+  const clippedFlags = []; // Per sample: outside the quantizer range?
+  const clippedData = []; // Clipped samples, highlighted on the analog chart
+
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const wave = {
+    ...signal,
+    phaseRad: toRadians(signal.phase), // Convert phase to radians
+    components: (signal.components || []).map((tone) => ({
+      ...tone,
+      phaseRad: toRadians(tone.phase),
+    })),
+    evaluate:
+      signal.waveform === "expression"
+        ? compileExpression(signal.expression)
+        : null,
+  };
+  const duration = endTime - startTime;
+  if (duration <= 0) return {}; // Should be caught by validation, but safe check
+
+  const samplingInterval = 1 / samplingRate;
+  // The source at time t. A value no quantizer can code (an expression's
+  // pole, say) stops the run wherever it turns up: on the analog trace or at
+  // an instant the clock offset, jitter or oversampling moved off the grid.
+  const signalAt = (t) => {
+    const value = calculateWaveValue(t, wave);
+    if (!Number.isFinite(value)) {
+      throw new Error(`The signal is not finite at t = ${t.toFixed(4)} s.`);
+    }
+    return value;
+  };
+
+  // 1. Generate Analog Wave Data
+  const totalAnalogPoints = getAnalogPointCount(wave, duration);
+  const analogTimeStep = duration / (totalAnalogPoints - 1);
+  for (let i = 0; i < totalAnalogPoints; i++) {
+    const t = startTime + i * analogTimeStep;
+    let value = signalAt(t);
+    analogData.push({ x: t, y: value });
+  }
+  // Ensure last point is exactly at endTime if step doesn't match
+  if (
+    analogData.length > 0 &&
+    analogData[analogData.length - 1].x < endTime - 1e-9
+  ) {
+    let finalValue = signalAt(endTime);
+    analogData.push({ x: endTime, y: finalValue });
+  }
+
+  // Anti-aliasing prefilter: a causal low-pass run over the analog grid, so
+  // the filtered trace shows the delay a real analog filter would add
+  const prefilterSections =
+    prefilterSettings.type && prefilterSettings.type !== "none"
+      ? designPrefilter(prefilterSettings, 1 / analogTimeStep)
+      : null;
+  const filteredValues =
+    prefilterSections &&
+    applyFilter(
+      prefilterSections,
+      analogData.map((point) => point.y)
+    );
+  // Sampler input at time t: the source itself or the filtered grid
+  // interpolated linearly (the grid resolves the fastest component)
+  const sampleInput = (t) => {
+    if (!filteredValues) return signalAt(t);
+    const position = Math.max(0, (t - startTime) / analogTimeStep);
+    const i = Math.min(Math.floor(position), filteredValues.length - 1);
+    if (i + 1 >= filteredValues.length) return filteredValues[i];
+    const next = analogData[i + 1].x;
+    const fraction = Math.min(
+      1,
+      (t - analogData[i].x) / (next - analogData[i].x)
+    );
+    return (
+      filteredValues[i] + (filteredValues[i + 1] - filteredValues[i]) * fraction
+    );
+  };
+
+  // Quantizer spans the full range the chosen waveform can reach, unless a
+  // fixed full-scale range was set (which is what makes clipping possible).
+  // A prefilter's overshoot widens it.
+  const waveformRange = getWaveformRange(wave, analogData, startTime, endTime);
+  const signalMin = (filteredValues || []).reduce(
+    (min, value) => Math.min(min, value),
+    waveformRange.min
+  );
+  const signalMax = (filteredValues || []).reduce(
+    (max, value) => Math.max(max, value),
+    waveformRange.max
+  );
+  const { fullScale } = quantizerSettings;
+  const rangeMin = fullScale ? -fullScale : signalMin;
+  const rangeMax = fullScale ? fullScale : signalMax;
+  const amplitude = Math.max(Math.abs(rangeMin), Math.abs(rangeMax)); // Quantizer peak
+  const quantizer = createQuantizer({
+    ...quantizerSettings,
+    numLevels,
+    rangeMin,
+    rangeMax,
+  });
+  // Dither and noise shaping sit in front of the PCM quantizer only; the
+  // amplitude is in LSBs of a uniform quantizer over the same range
+  const lsb = (rangeMax - rangeMin) / quantizer.numLevels;
+  const isPcmMode = (encodingSettings.mode || "pcm") === "pcm";
+  const pcmQuantizer = isPcmMode
+    ? createDitheredQuantizer(quantizer, ditherSettings, lsb)
+    : quantizer;
+  // 2. Sample. A non-ideal clock takes each sample at an offset, jittered
+  // instant, but the samples are still used as if taken on the nominal grid
+  const clock = createSamplingClock(jitterSettings);
+  const instantData = []; // Where each sample was actually taken
+  const idealData = []; // Same samples without jitter, for the jitter SNR
+  // The tolerance keeps a sample that lands on endTime despite rounding in
+  // the duration (e.g. 0.013..1.013 s is not exactly 1 s)
+  const numSamples = Math.floor(duration / samplingInterval + 1e-9) + 1;
+  for (let i = 0; i < numSamples; i++) {
+    const sampleTime = startTime + i * samplingInterval;
+    // Ensure sampleTime does not significantly exceed endTime
+    if (sampleTime > endTime + 1e-9) break;
+    const skewedTime = sampleTime + clock.offset;
+    const actualTime = skewedTime + clock.jitter(sampleTime);
+    const value = sampleInput(actualTime);
+    sampledData.push({ x: sampleTime, y: value });
+    if (clock.isIdeal) continue;
+    instantData.push({ x: actualTime, y: value });
+    idealData.push({ x: sampleTime, y: sampleInput(skewedTime) });
+  }
+
+  // 3. Quantize, Encode, etc.
+  const osr = encodingSettings.oversamplingRatio;
+  const encoder = createEncoder(
+    encodingSettings,
+    pcmQuantizer,
+    sampledData.map((sample) => sample.y),
+    (m) => sampleInput(startTime + (m * samplingInterval) / osr)
+  );
+  const { numBits } = encoder;
+  // Reference coder for the SNR comparison: uniform PCM at the same bits per
+  // sample (for companded PCM, DPCM and ADPCM), or at the quantization
+  // levels for sigma-delta
+  const referenceQuantizer =
+    encoder.mode === "pcm" && quantizer.type === "uniform"
+      ? null
+      : createQuantizer({
+          type: "uniform",
+          numLevels:
+            encoder.mode === "sdm" ? quantizer.numLevels : 2 ** numBits,
+          rangeMin,
+          rangeMax,
+          midTread: quantizerSettings.midTread,
+        });
+  const referenceData = referenceQuantizer ? [] : null;
+  const predictionData = [];
+  const residualData = [];
+  const quantizedResidualData = [];
+  // Level indices, when the encoder has them, are re-coded in the chosen format
+  const codeFormat = encodingSettings.codeFormat || "offset";
+  let levelIndices = [];
+  const deltaRegions = []; // Per sample for DM/ADM: "overload", "granular" or null
+  const slopeOverloadData = [];
+  const granularData = [];
+  const modulatorData = []; // Sigma-delta output at the oversampled rate
+
+  sampledData.forEach(({ x: sampleTime, y: sampleValue }, i) => {
+    // Quantization
+    const {
+      value: quantizedValue,
+      code: binaryCode,
+      clipped,
+      prediction,
+      residual,
+      quantizedResidual,
+      slopeOverload,
+      granular,
+      level,
+      symbols,
+      firstSymbol,
+    } = encoder.encode(sampleValue);
+    symbols?.forEach((symbol, j) => {
+      modulatorData.push({
+        x: startTime + ((firstSymbol + j) * samplingInterval) / osr,
+        y: symbol,
+      });
+    });
+    quantizedData.push({ x: sampleTime, y: quantizedValue });
+    clippedFlags.push(clipped);
+    if (clipped) clippedData.push({ x: sampleTime, y: sampleValue });
+    if (referenceQuantizer) {
+      referenceData.push({
+        x: sampleTime,
+        y: referenceQuantizer.quantize(sampleValue).value,
+      });
+    }
+    if (encoder.mode !== "pcm" && encoder.mode !== "sdm") {
+      predictionData.push({ x: sampleTime, y: prediction });
+      residualData.push({ x: sampleTime, y: residual });
+      quantizedResidualData.push({ x: sampleTime, y: quantizedResidual });
+    }
+    if (encoder.mode === "dm" || encoder.mode === "adm") {
+      deltaRegions.push(
+        slopeOverload ? "overload" : granular ? "granular" : null
+      );
+      if (slopeOverload)
+        slopeOverloadData.push({ x: sampleTime, y: sampleValue });
+      if (granular) granularData.push({ x: sampleTime, y: sampleValue });
+    }
+
+    // PCM Encode
+    if (levelIndices && level !== undefined) {
+      levelIndices.push(level);
+      pcmCodes.push(formatLevelCode(level, numBits, codeFormat));
+    } else {
+      levelIndices = null;
+      pcmCodes.push(binaryCode);
+    }
+
+    // Quantization Error
+    const error = sampleValue - quantizedValue;
+    errorData.push({ x: sampleTime, y: error });
+  });
+
+  // Received words (in the chosen code format) back to levels with a fresh
+  // decoder. A null word (a frame lost by a TDM demultiplexer) decodes to
+  // null without advancing the decoder.
+  const decodeWords = (words) => {
+    const decoder = encoder.createDecoder();
+    return words.map((word) => {
+      if (word === null) return null;
+      // Re-coded words go back to the encoder's own offset-binary index
+      const nativeCode = levelIndices
+        ? parseLevelCode(word, numBits, codeFormat)
+            .toString(2)
+            .padStart(numBits, "0")
+        : word;
+      return decoder.decode(nativeCode);
+    });
+  };
+  if (encodeOnly) {
+    return {
+      sampledData,
+      quantizedData,
+      pcmCodes,
+      levelIndices,
+      numBits,
+      numLevels: quantizer.numLevels,
+      samplingRate,
+      decodeWords,
+    };
+  }
+
+  // 4. Channel: the serialized words cross the channel and a fresh decoder
+  // turns the received words back into levels
+  const bitstream = pcmCodes.join("");
+  const transmission = transmitBits(
+    bitstream,
+    channelSettings,
+    lineCodeSettings.code
+  );
+  let receivedData = quantizedData;
+  let wordErrors = 0;
+  if (channelSettings.type !== "none") {
+    let position = 0;
+    const receivedWords = pcmCodes.map((code) => {
+      const word = transmission.bits.slice(position, position + code.length);
+      position += code.length;
+      if (word !== code) wordErrors++;
+      return word;
+    });
+    receivedData = decodeWords(receivedWords).map((y, i) => ({
+      x: quantizedData[i].x,
+      y,
+    }));
+  }
+
+  // 5. Reconstructed Data (ZOH) from the decoded levels
+  const reconstructedData = buildZohStaircase(
+    receivedData,
+    startTime,
+    endTime,
+    samplingInterval
+  );
+
+  // Other methods are evaluated on the analog time grid; the RMS error
+  // against the analog trace is measured on that grid for every method
+  const analogTimes = analogData.map((point) => point.x);
+  const reconstructedOnGrid = reconstructSignal(
+    receivedData,
+    analogTimes,
+    reconstructionSettings
+  );
+  const reconstructionRmsError = Math.sqrt(
+    analogData.reduce(
+      (sum, point, i) => sum + (reconstructedOnGrid[i] - point.y) ** 2,
+      0
+    ) / analogData.length
+  );
+
+  return {
+    analogData,
+    sampledData,
+    quantizedData,
+    reconstructedData:
+      reconstructionSettings.method === "zoh"
+        ? reconstructedData
+        : analogTimes.map((x, i) => ({ x, y: reconstructedOnGrid[i] })),
+    reconstructedOnGrid, // Reconstruction at the analogData times, for analysis
+    reconstruction: reconstructionSettings,
+    reconstructionRmsError,
+    errorData,
+    pcmCodes,
+    snrReference: referenceData && {
+      label:
+        encoder.mode === "pcm"
+          ? "Uniform at same bits"
+          : encoder.mode === "sdm"
+          ? `Plain PCM at ${quantizer.numLevels} levels`
+          : `Plain PCM at ${numBits} bits/sample`,
+      data: referenceData,
+    },
+    encodingMode: encoder.mode,
+    codeFormat: levelIndices ? codeFormat : null,
+    levelIndices,
+    decodeWords,
+    predictionData,
+    residualData,
+    quantizedResidualData,
+    deltaRegions,
+    slopeOverloadData,
+    granularData,
+    clippedFlags,
+    clippedData,
+    transferCurve: buildTransferCurve(quantizer),
+    quantizerType: quantizer.type,
+    amplitude,
+    signalMin,
+    signalMax,
+    rangeMin,
+    rangeMax,
+    samplingRate,
+    numBits,
+    numLevels: quantizer.numLevels,
+    lsb,
+    sigmaDelta:
+      encoder.mode === "sdm"
+        ? {
+            order: encodingSettings.sdmOrder,
+            osr,
+            outputBits: encodingSettings.modulatorBits,
+            reference: encoder.reference,
+            modulatorRate: samplingRate * osr,
+            modulatorData,
+          }
+        : null,
+    jitter: clock.isIdeal
+      ? null
+      : {
+          ...jitterSettings,
+          instantData,
+          measuredSnrDb: jitterSettings.rms
+            ? calculateSNR(idealData, sampledData)
+            : Infinity,
+          theory: jitterTheory(wave, jitterSettings.rms),
+        },
+    aliasing: buildAliasing(
+      wave,
+      samplingRate,
+      startTime,
+      analogData.map((point) => point.x),
+      prefilterSections && {
+        sections: prefilterSections,
+        sampleRate: 1 / analogTimeStep,
+      }
+    ),
+    prefilter: prefilterSections && {
+      ...prefilterSettings,
+      filteredData: analogData.map((point, i) => ({
+        x: point.x,
+        y: filteredValues[i],
+      })),
+      response: filterMagnitudeResponse(
+        prefilterSections,
+        1 / analogTimeStep,
+        Math.min(SPECTRUM_IMAGE_SPAN * samplingRate, 0.5 / analogTimeStep)
+      ),
+    },
+    dither: {
+      type: isPcmMode ? ditherSettings.type || "none" : "none",
+      amplitude: ditherSettings.amplitude || 0,
+      shapingOrder: isPcmMode ? ditherSettings.shapingOrder || 0 : 0,
+    },
+    samplingInterval,
+    startTime,
+    endTime, // Pass necessary params
+    lineCoding: buildLineCoding(
+      bitstream,
+      lineCodeSettings.code,
+      lineCodeSettings.bitRate || samplingRate * numBits,
+      transmission.levels
+    ),
+    receivedData,
+    channel: {
+      type: channelSettings.type,
+      bitCount: bitstream.length,
+      bitErrors: transmission.bitErrors,
+      wordCount: pcmCodes.length,
+      wordErrors,
+    },
+  };
+}
+
+// Wave calculation for the selected waveform; phase shifts the fundamental
+function calculateWaveValue(t, wave) {
+  const { waveform, frequency, amplitude, phaseRad } = wave;
+  const theta = 2 * Math.PI * frequency * t + phaseRad;
+  switch (waveform) {
+    case "square":
+      return Math.sin(theta) >= 0 ? amplitude : -amplitude;
+    case "triangle":
+      return amplitude * (2 / Math.PI) * Math.asin(Math.sin(theta));
+    case "sawtooth": {
+      // Rising ramp that crosses zero where the sine does
+      const cycles = theta / (2 * Math.PI) + 0.5;
+      return amplitude * (2 * (cycles - Math.floor(cycles)) - 1);
+    }
+    case "harmonics": {
+      // Fundamental plus harmonics 2..N with 1/k amplitudes
+      let sum = 0;
+      for (let k = 1; k <= wave.harmonicCount; k++) {
+        sum += Math.sin(k * theta) / k;
+      }
+      return amplitude * sum;
+    }
+    case "decaying":
+      return amplitude * Math.exp(-wave.decayRate * t) * Math.sin(theta);
+    case "dcSine":
+      return wave.dcOffset + amplitude * Math.sin(theta);
+    case "multitone":
+      // Composite of independent tones, each with its own phase
+      return wave.components.reduce(
+        (sum, tone) =>
+          sum +
+          tone.amplitude *
+            Math.sin(2 * Math.PI * tone.frequency * t + tone.phaseRad),
+        0
+      );
+    case "expression":
+      return wave.evaluate(t);
+    case "wav": {
+      // Linear interpolation between file samples; silence outside the file
+      const { sampleRate, samples } = wave.audio;
+      const position = t * sampleRate;
+      const index = Math.floor(position);
+      if (index < 0 || index >= samples.length) return 0;
+      const next =
+        index + 1 < samples.length ? samples[index + 1] : samples[index];
+      return samples[index] + (next - samples[index]) * (position - index);
+    }
+    default:
+      return amplitude * Math.sin(theta);
+  }
+}
+
+// Min/max values the waveform can reach, used as the quantizer range
+function getWaveformRange(wave, analogData, startTime, endTime) {
+  const { waveform, amplitude } = wave;
+  if (waveform === "wav") {
+    // Peak of every file sample inside the window, not just the plotted ones
+    const { sampleRate, samples } = wave.audio;
+    const first = Math.max(0, Math.floor(startTime * sampleRate));
+    const last = Math.min(samples.length - 1, Math.ceil(endTime * sampleRate));
+    let peak = 0;
+    for (let i = first; i <= last; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    return peak > 0 ? { min: -peak, max: peak } : { min: -1, max: 1 };
+  }
+  if (waveform === "multitone" || waveform === "expression") {
+    // Peak over the dense analog trace; composites and expressions generally
+    // have no single period (or closed-form peak) to work from
+    const peak = analogData.reduce(
+      (max, point) => Math.max(max, Math.abs(point.y)),
+      0
+    );
+    // A signal that is zero everywhere still needs a non-empty quantizer range
+    return peak > 0 ? { min: -peak, max: peak } : { min: -1, max: 1 };
+  }
+  if (waveform === "dcSine") {
+    return { min: wave.dcOffset - amplitude, max: wave.dcOffset + amplitude };
+  }
+  if (waveform === "harmonics") {
+    // No closed form for the partial-sum peak; scan one period numerically
+    const steps = 2000;
+    let peak = 0;
+    for (let i = 0; i < steps; i++) {
+      const t = i / (steps * wave.frequency);
+      peak = Math.max(peak, Math.abs(calculateWaveValue(t, wave)));
+    }
+    return { min: -peak, max: peak };
+  }
+  return { min: -amplitude, max: amplitude };
+}
+
+// Number of points in the analog trace over `duration` seconds: at least 500,
+// roughly one per file sample for a WAV, a fixed density for an expression
+// and ~200 per cycle of the fastest tone otherwise
+function getAnalogPointCount(wave, duration) {
+  return Math.max(
+    500,
+    wave.waveform === "wav"
+      ? Math.min(
+          Math.ceil(duration * wave.audio.sampleRate) + 1,
+          WAV_MAX_ANALOG_POINTS
+        )
+      : wave.waveform === "expression"
+      ? Math.ceil(duration * EXPRESSION_POINTS_PER_SECOND)
+      : Math.ceil(duration * getHighestToneFrequency(wave) * 200)
+  );
+}
+
+// Fastest component of the signal, used to size the analog trace
+function getHighestToneFrequency(wave) {
+  if (wave.waveform === "multitone") {
+    return Math.max(...wave.components.map((tone) => tone.frequency));
+  }
+  return wave.frequency;
+}
+
+// Highest harmonic (as a multiple of the fundamental) whose amplitude is at
+// least HARMONIC_THRESHOLD of the fundamental's
+export function getHighestSignificantHarmonic(waveform, harmonicCount) {
+  switch (waveform) {
+    case "square": {
+      // Odd harmonics at 1/n
+      const n = Math.floor(1 / HARMONIC_THRESHOLD);
+      return n % 2 === 0 ? n - 1 : n;
+    }
+    case "triangle": {
+      // Odd harmonics at 1/n^2
+      const n = Math.floor(Math.sqrt(1 / HARMONIC_THRESHOLD));
+      return n % 2 === 0 ? n - 1 : n;
+    }
+    case "sawtooth":
+      // All harmonics at 1/n
+      return Math.floor(1 / HARMONIC_THRESHOLD);
+    case "harmonics":
+      return Math.min(harmonicCount, Math.floor(1 / HARMONIC_THRESHOLD));
+    default:
+      return 1;
+  }
+}
+
+// --- Quantizers ---
+// Builds the quantizer used by generatePCMData over rangeMin..rangeMax, with
+// mid-rise or mid-tread level placement. `type` is one of:
+//   "uniform" - mid-rise levels evenly spread over signalMin..signalMax
+//   "mulaw"   - μ-law compress, uniform quantize, expand (parameter mu)
+//   "alaw"    - A-law compress, uniform quantize, expand (parameter aLaw)
+//   "g711mu" / "g711a" - ITU-T G.711 8-bit segmented encoders
+// quantize(x) returns { value, code, clipped } with code the PCM word as a
+// bit string and clipped set when x lies outside the quantizer range, plus
+// the level index (bottom level 0) for all but the G.711 encoders;
+// dequantize(code) maps a (possibly corrupted) code word back to its level;
+// compress(x) is the characteristic on input normalized to `peak`.
+export function createQuantizer({
+  type,
+  numLevels,
+  rangeMin,
+  rangeMax,
+  mu,
+  aLaw,
+  midTread = false,
+}) {
+  // Companded quantizers are symmetric about zero, so they use the peak magnitude
+  const peak = Math.max(Math.abs(rangeMin), Math.abs(rangeMax));
+  const isClipped = (value) => Math.abs(value) > peak * (1 + 1e-12);
+
+  if (type === "g711mu" || type === "g711a") {
+    // G.711 works on 16-bit linear samples; scale the peak to full scale
+    const [encode, decode] =
+      type === "g711mu"
+        ? [linearToMuLaw, muLawToLinear]
+        : [linearToALaw, aLawToLinear];
+    return {
+      type,
+      numLevels: G711_LEVELS,
+      numBits: 8,
+      peak,
+      compress: (x) =>
+        g711CodeToCompressed(encode(Math.round(x * 32767)), type),
+      quantize(value) {
+        const linear = Math.round(
+          (Math.max(-peak, Math.min(peak, value)) / peak) * 32767
+        );
+        const byte = encode(linear);
+        return {
+          value: (decode(byte) / 32768) * peak,
+          code: byte.toString(2).padStart(8, "0"),
+          clipped: isClipped(value),
+        };
+      },
+      dequantize: (code) => (decode(parseInt(code, 2)) / 32768) * peak,
+    };
+  }
+
+  const numBits = Math.ceil(Math.log2(numLevels));
+  if (type === "mulaw" || type === "alaw") {
+    const [compress, expand] =
+      type === "mulaw"
+        ? [(x) => muLawCompress(x, mu), (y) => muLawExpand(y, mu)]
+        : [(x) => aLawCompress(x, aLaw), (y) => aLawExpand(y, aLaw)];
+    // Levels are uniform in the compressed domain
+    const grid = createLevelGrid(-1, 1, numLevels, midTread);
+    return {
+      type,
+      numLevels,
+      numBits,
+      peak,
+      compress,
+      quantize(value) {
+        const levelIndex = grid.index(
+          compress(Math.max(-1, Math.min(1, value / peak)))
+        );
+        return {
+          value: expand(grid.level(levelIndex)) * peak,
+          code: levelIndex.toString(2).padStart(numBits, "0"),
+          level: levelIndex,
+          clipped: isClipped(value),
+        };
+      },
+      dequantize: (code) =>
+        expand(grid.level(Math.min(parseInt(code, 2), numLevels - 1))) * peak,
+    };
+  }
+
+  const grid = createLevelGrid(rangeMin, rangeMax, numLevels, midTread);
+  return {
+    type: "uniform",
+    numLevels,
+    numBits,
+    peak,
+    compress: (x) => x,
+    quantize(value) {
+      const levelIndex = grid.index(value);
+      return {
+        value: grid.level(levelIndex),
+        code: levelIndex.toString(2).padStart(numBits, "0"),
+        level: levelIndex,
+        clipped:
+          value > rangeMax + Math.abs(rangeMax) * 1e-12 ||
+          value < rangeMin - Math.abs(rangeMin) * 1e-12,
+      };
+    },
+    dequantize: (code) =>
+      grid.level(Math.min(parseInt(code, 2), numLevels - 1)),
+  };
+}
+
+// numLevels levels over min..max, either mid-rise (no level at zero for a
+// symmetric range) or mid-tread (levels at integer multiples of the step, so
+// zero is a level). index(x) maps a value to the nearest in-range level
+// index, clamping anything outside min..max; level(index) is its value.
+function createLevelGrid(min, max, numLevels, midTread) {
+  const step = (max - min) / numLevels;
+  const clampIndex = (index) => Math.max(0, Math.min(numLevels - 1, index));
+  if (midTread) {
+    const firstMultiple = Math.ceil(min / step - 1e-9);
+    return {
+      index: (x) => clampIndex(Math.round(x / step) - firstMultiple),
+      level: (index) => (firstMultiple + index) * step,
+    };
+  }
+  return {
+    index: (x) =>
+      clampIndex(
+        Math.floor((Math.max(min, Math.min(max - 1e-9, x)) - min) / step)
+      ),
+    level: (index) => min + (index + 0.5) * step,
+  };
+}
+
+// Continuous companding laws on normalized input in -1..1
+function muLawCompress(x, mu) {
+  return (Math.sign(x) * Math.log1p(mu * Math.abs(x))) / Math.log1p(mu);
+}
+
+function muLawExpand(y, mu) {
+  return (Math.sign(y) * (Math.pow(1 + mu, Math.abs(y)) - 1)) / mu;
+}
+
+function aLawCompress(x, a) {
+  const magnitude = Math.abs(x);
+  const denominator = 1 + Math.log(a);
+  const compressed =
+    magnitude < 1 / a
+      ? (a * magnitude) / denominator
+      : (1 + Math.log(a * magnitude)) / denominator;
+  return Math.sign(x) * compressed;
+}
+
+function aLawExpand(y, a) {
+  const magnitude = Math.abs(y);
+  const denominator = 1 + Math.log(a);
+  const expanded =
+    magnitude < 1 / denominator
+      ? (magnitude * denominator) / a
+      : Math.exp(magnitude * denominator - 1) / a;
+  return Math.sign(y) * expanded;
+}
+
+// G.711 encoders/decoders on 16-bit linear samples (after the ITU-T reference
+// implementation). Bytes are returned as transmitted: μ-law words are
+// inverted, A-law words have their even bits toggled.
+const MU_LAW_BIAS = 0x84;
+const MU_LAW_CLIP = 32635;
+
+function linearToMuLaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MU_LAW_CLIP) + MU_LAW_BIAS;
+  let segment = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && segment > 0; mask >>= 1) {
+    segment--;
+  }
+  const step = (magnitude >> (segment + 3)) & 0x0f;
+  return ~(sign | (segment << 4) | step) & 0xff;
+}
+
+function muLawToLinear(byte) {
+  const word = ~byte & 0xff;
+  const segment = (word >> 4) & 0x07;
+  const magnitude = (((word & 0x0f) << 3) + MU_LAW_BIAS) << segment;
+  return word & 0x80 ? MU_LAW_BIAS - magnitude : magnitude - MU_LAW_BIAS;
+}
+
+function linearToALaw(sample) {
+  let magnitude = sample >> 3; // 13-bit magnitude
+  let mask;
+  if (magnitude >= 0) {
+    mask = 0xd5; // Sign bit set for positive samples
+  } else {
+    mask = 0x55;
+    magnitude = -magnitude - 1;
+  }
+  let segment = 0;
+  while (segment < 8 && magnitude > (0x20 << segment) - 1) segment++;
+  if (segment >= 8) return 0x7f ^ mask; // Clip to the largest code
+  const step =
+    segment < 2 ? (magnitude >> 1) & 0x0f : (magnitude >> segment) & 0x0f;
+  return ((segment << 4) | step) ^ mask;
+}
+
+function aLawToLinear(byte) {
+  const word = byte ^ 0x55;
+  const segment = (word & 0x70) >> 4;
+  let magnitude = (word & 0x0f) << 4;
+  if (segment === 0) {
+    magnitude += 8;
+  } else {
+    magnitude = (magnitude + 0x108) << (segment - 1);
+  }
+  return word & 0x80 ? magnitude : -magnitude;
+}
+
+// Position of a G.711 word on the -1..1 compressed axis (segment + step)
+function g711CodeToCompressed(byte, type) {
+  const word = type === "g711mu" ? ~byte & 0xff : byte ^ 0x55;
+  const position = ((word & 0x7f) + 0.5) / 128;
+  const negative = type === "g711mu" ? word & 0x80 : !(word & 0x80);
+  return negative ? -position : position;
+}
+
+// Input/output pairs, normalized to the quantizer peak, for the transfer chart
+function buildTransferCurve(quantizer) {
+  const compressor = [];
+  const staircase = [];
+  const { peak } = quantizer;
+  for (let i = 0; i < TRANSFER_CURVE_POINTS; i++) {
+    const x = -1 + (2 * i) / (TRANSFER_CURVE_POINTS - 1);
+    compressor.push({ x, y: quantizer.compress(x) });
+    staircase.push({ x, y: quantizer.quantize(x * peak).value / peak });
+  }
+  return { compressor, staircase };
+}
+
+// --- Dither ---
+// Wraps a quantizer with additive dither and error-feedback noise shaping;
+// returns the quantizer itself when neither is selected. `settings` is
+// { type, amplitude, shapingOrder, seed } with amplitude in units of `lsb`:
+//   "rectangular" - uniform over ±amplitude/2
+//   "tpdf"        - sum of two rectangular draws, triangular over ±amplitude
+//   "gaussian"    - normal with a standard deviation of amplitude/2
+// shapingOrder 1 or 2 feeds the total error back through
+// NOISE_SHAPING_FILTERS, so the error spectrum takes the shape (1 - z^-1)^order
+// and moves towards fs/2. The clipped flag still reports the undithered input.
+function createDitheredQuantizer(quantizer, settings, lsb) {
+  const { type = "none", amplitude = 0, shapingOrder = 0, seed = 0 } = settings;
+  const taps = NOISE_SHAPING_FILTERS[shapingOrder] || [];
+  if (type === "none" && taps.length === 0) return quantizer;
+  const random = createRandom(seed);
+  const width = amplitude * lsb;
+  const drawDither =
+    {
+      rectangular: () => (random() - 0.5) * width,
+      tpdf: () => (random() + random() - 1) * width,
+      gaussian: () => (gaussianRandom(random) * width) / 2,
+    }[type] || (() => 0);
+  const errors = taps.map(() => 0); // e[n-1], e[n-2], ...
+  return {
+    ...quantizer,
+    quantize(value) {
+      const shaped = value - taps.reduce((sum, h, k) => sum + h * errors[k], 0);
+      const result = quantizer.quantize(shaped + drawDither());
+      errors.unshift(result.value - shaped);
+      errors.pop();
+      // Overload error is not fed back, or clipping would drive the loop unstable
+      if (result.clipped) errors.fill(0);
+      return { ...result, clipped: quantizer.quantize(value).clipped };
+    },
+  };
+}
+
+// --- Encoders ---
+// Wraps the quantizer into the selected coding scheme. `settings.mode` is:
+//   "pcm"   - each sample quantized on its own (the quantizer's own codes)
+//   "dpcm"  - closed-loop DPCM: a linear predictor with
+//             `predictorCoefficients` [a1, a2, ...] predicts each sample from
+//             the decoder's previous outputs and the residual is quantized
+//             with `residualBits` bits (uniform, mid-tread)
+//   "adpcm" - IMA/DVI ADPCM: 4-bit codes with an adaptive step size
+//   "dm"    - delta modulation: 1 bit per sample moves a staircase up or down
+//             by the fixed `stepSize`
+//   "adm"   - adaptive (CVSD-style) delta modulation: the step grows by
+//             `stepGrowth` after ADM_RUN_LENGTH equal bits and shrinks back
+//             towards `stepSize` otherwise
+// encode(x) returns { value, code, clipped } like quantize(), plus the
+// prediction, residual and quantizedResidual for the differential modes, and
+// the slopeOverload/granular flags for the delta modulators. createDecoder()
+// returns a fresh receiver whose decode(code) yields the next output value;
+// the encoders run one internally so their outputs match it bit for bit.
+//   "sdm"   - sigma-delta modulation at `oversamplingRatio` times the rate
+//             with a `sdmOrder` loop and a `modulatorBits` quantizer, each
+//             word holding the modulator outputs for one base-rate sample
+// `samples` (all input values) is used by DPCM to size its residual range;
+// `oversampledInput(m)` is the input at oversampled index m for "sdm".
+export function createEncoder(settings, quantizer, samples, oversampledInput) {
+  if (settings.mode === "dpcm") {
+    return createDpcmEncoder(
+      settings.predictorCoefficients,
+      settings.residualBits,
+      samples
+    );
+  }
+  if (settings.mode === "adpcm") return createImaAdpcmEncoder(quantizer.peak);
+  if (settings.mode === "sdm") {
+    return createSigmaDeltaModulator(
+      settings.sdmOrder,
+      settings.oversamplingRatio,
+      settings.modulatorBits,
+      quantizer.peak,
+      oversampledInput
+    );
+  }
+  if (settings.mode === "dm" || settings.mode === "adm") {
+    return createDeltaModulator(
+      settings.stepSize,
+      settings.mode === "adm" ? settings.stepGrowth : 1
+    );
+  }
+  return {
+    mode: "pcm",
+    numBits: quantizer.numBits,
+    createDecoder: () => ({ decode: (code) => quantizer.dequantize(code) }),
+    encode: (value) => quantizer.quantize(value),
+  };
+}
+
+function createDpcmEncoder(coefficients, residualBits, samples) {
+  const predict = (history) =>
+    coefficients.reduce((sum, a, k) => sum + a * (history[k] ?? 0), 0);
+
+  // Size the residual quantizer from the open-loop residual peak
+  let residualPeak = 0;
+  samples.forEach((_, n) => {
+    const history = coefficients.map((_, k) => samples[n - 1 - k]);
+    residualPeak = Math.max(
+      residualPeak,
+      Math.abs(samples[n] - predict(history))
+    );
+  });
+  const residualQuantizer = createQuantizer({
+    type: "uniform",
+    numLevels: 2 ** residualBits,
+    rangeMin: -(residualPeak || 1),
+    rangeMax: residualPeak || 1,
+    midTread: true, // A zero residual must stay zero
+  });
+
+  const createDecoder = () => {
+    const history = []; // Decoder outputs, most recent first
+    return {
+      prediction: () => predict(history),
+      decode(code) {
+        const output = predict(history) + residualQuantizer.dequantize(code);
+        history.unshift(output);
+        history.length = Math.min(history.length, coefficients.length);
+        return output;
+      },
+    };
+  };
+
+  const localDecoder = createDecoder(); // Keeps the encoder in step with the receiver
+  return {
+    mode: "dpcm",
+    numBits: residualBits,
+    createDecoder,
+    encode(value) {
+      const prediction = localDecoder.prediction();
+      const residual = value - prediction;
+      const {
+        value: quantizedResidual,
+        code,
+        clipped,
+        level,
+      } = residualQuantizer.quantize(residual);
+      return {
+        value: localDecoder.decode(code),
+        code,
+        level,
+        clipped, // Residual beyond the residual quantizer's range
+        prediction,
+        residual,
+        quantizedResidual,
+      };
+    },
+  };
+}
+
+// IMA/DVI ADPCM tables (Interactive Multimedia Association, 1992)
+const IMA_STEP_TABLE = [
+  7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45,
+  50, 55, 60, 66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230,
+  253, 279, 307, 337, 371, 408, 449, 494, 544, 598, 658, 724, 796, 876, 963,
+  1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066, 2272, 2499, 2749, 3024, 3327,
+  3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442,
+  11487, 12635, 13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794,
+  32767,
+];
+const IMA_INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8];
+
+// Works on 16-bit samples with `peak` mapped to full scale. The predictor and
+// step index start at zero, as at the start of a stream without a header.
+function createImaAdpcmEncoder(peak) {
+  const toLinear = (value) =>
+    Math.max(-32768, Math.min(32767, Math.round((value / peak) * 32767)));
+  const toValue = (linear) => (linear / 32767) * peak;
+
+  const createDecoder = () => {
+    let predictor = 0;
+    let stepIndex = 0;
+    return {
+      predictor: () => predictor,
+      step: () => IMA_STEP_TABLE[stepIndex],
+      decode(code) {
+        const nibble = parseInt(code, 2);
+        const step = IMA_STEP_TABLE[stepIndex];
+        let quantizedDiff = step >> 3;
+        if (nibble & 4) quantizedDiff += step;
+        if (nibble & 2) quantizedDiff += step >> 1;
+        if (nibble & 1) quantizedDiff += step >> 2;
+        predictor += nibble & 8 ? -quantizedDiff : quantizedDiff;
+        predictor = Math.max(-32768, Math.min(32767, predictor));
+        stepIndex = Math.max(
+          0,
+          Math.min(
+            IMA_STEP_TABLE.length - 1,
+            stepIndex + IMA_INDEX_TABLE[nibble & 7]
+          )
+        );
+        return toValue(predictor);
+      },
+    };
+  };
+
+  const localDecoder = createDecoder();
+  return {
+    mode: "adpcm",
+    numBits: 4,
+    createDecoder,
+    encode(value) {
+      const prediction = localDecoder.predictor();
+      const step = localDecoder.step();
+      let diff = toLinear(value) - prediction;
+      let nibble = 0;
+      if (diff < 0) {
+        nibble = 8; // Sign bit
+        diff = -diff;
+      }
+      // Successive approximation of diff in units of step, step/2, step/4
+      let threshold = step;
+      for (let bit = 4; bit >= 1; bit >>= 1) {
+        if (diff >= threshold) {
+          nibble |= bit;
+          diff -= threshold;
+        }
+        threshold >>= 1;
+      }
+
+      const code = nibble.toString(2).padStart(4, "0");
+      const output = localDecoder.decode(code);
+      return {
+        value: output,
+        code,
+        clipped: Math.abs(value) > peak * (1 + 1e-12),
+        prediction: toValue(prediction),
+        residual: value - toValue(prediction),
+        quantizedResidual: output - toValue(prediction),
+      };
+    },
+  };
+}
+
+// Staircase tracker starting from zero. With stepGrowth 1 the step never
+// changes (plain DM). Each sample is classified as slope overload (the input
+// is more than a step away, so the staircase cannot keep up) or granular
+// noise (the bits alternate around an input the staircase already tracks).
+function createDeltaModulator(stepSize, stepGrowth) {
+  const maxStep = stepSize * ADM_MAX_STEP_RATIO;
+
+  const createDecoder = () => {
+    let staircase = 0;
+    let step = stepSize;
+    const recentBits = [];
+    return {
+      staircase: () => staircase,
+      step: () => step,
+      lastBit: () => recentBits[recentBits.length - 1],
+      decode(code) {
+        const bit = code === "1";
+        staircase += bit ? step : -step;
+        recentBits.push(bit);
+        if (recentBits.length > ADM_RUN_LENGTH) recentBits.shift();
+        // CVSD-style syllabic adaptation on runs of equal bits
+        const isRun =
+          recentBits.length === ADM_RUN_LENGTH &&
+          recentBits.every((b) => b === bit);
+        step = isRun
+          ? Math.min(step * stepGrowth, maxStep)
+          : Math.max(step / stepGrowth, stepSize);
+        return staircase;
+      },
+    };
+  };
+
+  const localDecoder = createDecoder();
+  return {
+    mode: stepGrowth === 1 ? "dm" : "adm",
+    numBits: 1,
+    createDecoder,
+    encode(value) {
+      const prediction = localDecoder.staircase();
+      const usedStep = localDecoder.step();
+      const previousBit = localDecoder.lastBit();
+      const residual = value - prediction;
+      const bit = residual >= 0;
+      const output = localDecoder.decode(bit ? "1" : "0");
+
+      const slopeOverload = Math.abs(residual) > usedStep;
+      return {
+        value: output,
+        code: bit ? "1" : "0",
+        clipped: false,
+        prediction,
+        residual,
+        quantizedResidual: output - prediction,
+        stepSize: usedStep,
+        slopeOverload,
+        granular:
+          !slopeOverload && previousBit !== undefined && previousBit !== bit,
+      };
+    },
+  };
+}
+
+// Sigma-delta modulator followed by a sinc^(order + 1) decimator (order + 1
+// cascaded length-osr moving averages). The loop uses delaying integrators,
+// giving STF z^-1 and NTF (1 - z^-1)^order; its quantizer has 2^outputBits
+// levels over ±reference, with reference = peak / SDM_MAX_INPUT to keep the
+// loop stable, and the integrators saturate at SDM_INTEGRATOR_LIMIT.
+// encode() ignores its argument: the modulator reads input(m) at its own
+// rate, and each word holds the osr outputs ending where the decimator is
+// centred on the next base-rate sample. The modulator starts early enough to
+// fill the decimator, and every decoder starts from that history.
+function createSigmaDeltaModulator(order, osr, outputBits, peak, input) {
+  const reference = peak / SDM_MAX_INPUT;
+  const levelCount = 2 ** outputBits;
+  const levelStep = (2 * reference) / (levelCount - 1);
+  let kernel = [1];
+  for (let stage = 0; stage <= order; stage++) {
+    const next = new Array(kernel.length + osr - 1).fill(0);
+    kernel.forEach((h, i) => {
+      for (let j = 0; j < osr; j++) next[i + j] += h / osr;
+    });
+    kernel = next;
+  }
+  // Loop delay plus the kernel's half length: how far past its sample a word ends
+  const lead = Math.floor((kernel.length - 1) / 2) + 1;
+
+  const integrators = new Array(order).fill(0);
+  const limit = SDM_INTEGRATOR_LIMIT * reference;
+  let overloaded = false;
+  const step = (m) => {
+    const index = Math.max(
+      0,
+      Math.min(
+        levelCount - 1,
+        Math.round((integrators[order - 1] + reference) / levelStep)
+      )
+    );
+    const level = -reference + index * levelStep;
+    for (let k = 0; k < order; k++) {
+      const feed = k === 0 ? input(m) : integrators[k - 1];
+      const next = integrators[k] + feed - level;
+      if (Math.abs(next) > limit) overloaded = true;
+      integrators[k] = Math.max(-limit, Math.min(limit, next));
+    }
+    return { index, level };
+  };
+
+  // Outputs before the first word: one word to settle, then the history the
+  // decimator needs for the first sample
+  const history = [];
+  for (let m = lead - kernel.length + 1 - osr; m <= lead - osr; m++) {
+    history.push(step(m).level);
+  }
+  const primed = history.slice(-(kernel.length - osr));
+
+  const createDecoder = () => {
+    const levels = [...primed];
+    return {
+      decode(code) {
+        for (let i = 0; i < code.length; i += outputBits) {
+          const index = parseInt(code.slice(i, i + outputBits), 2);
+          levels.push(-reference + Math.min(index, levelCount - 1) * levelStep);
+        }
+        levels.splice(0, levels.length - kernel.length);
+        return kernel.reduce((sum, h, i) => sum + h * levels[i], 0);
+      },
+    };
+  };
+
+  const localDecoder = createDecoder();
+  let wordIndex = 0;
+  return {
+    mode: "sdm",
+    numBits: osr * outputBits,
+    reference,
+    createDecoder,
+    encode() {
+      const firstSymbol = wordIndex * osr + lead - osr + 1;
+      overloaded = false;
+      const symbols = [];
+      let code = "";
+      for (let m = firstSymbol; m < firstSymbol + osr; m++) {
+        const { index, level } = step(m);
+        symbols.push(level);
+        code += index.toString(2).padStart(outputBits, "0");
+      }
+      wordIndex++;
+      return {
+        value: localDecoder.decode(code),
+        code,
+        clipped: overloaded,
+        symbols,
+        firstSymbol,
+      };
+    },
+  };
+}
+
+// --- Code Formats ---
+// Maps a level index (0 = bottom level) to an N-bit word. Signed formats
+// take the middle of the code space, 2^(N-1), as zero:
+//   "offset"   - natural/offset binary, the level index itself
+//   "twos"     - two's complement: offset binary with the MSB inverted
+//   "sign"     - sign-magnitude: MSB 1 for the lower half, then the distance
+//                from mid-scale (mirrored, so the levels either side of zero
+//                both have magnitude 0)
+//   "gray"     - reflected Gray code of the level index
+//   "folded"   - folded binary: MSB 1 for the upper half, magnitude mirrored
+//                as in sign-magnitude
+export function formatLevelCode(level, numBits, format) {
+  const half = 2 ** (numBits - 1);
+  const isUpper = level >= half;
+  const magnitude = isUpper ? level - half : half - 1 - level;
+  let word;
+  switch (format) {
+    case "twos":
+      word = level ^ half;
+      break;
+    case "sign":
+      word = (isUpper ? 0 : half) | magnitude;
+      break;
+    case "gray":
+      word = level ^ (level >> 1);
+      break;
+    case "folded":
+      word = (isUpper ? half : 0) | magnitude;
+      break;
+    default:
+      word = level;
+  }
+  return word.toString(2).padStart(numBits, "0");
+}
+
+// Inverse of formatLevelCode: the level index carried by an N-bit word
+export function parseLevelCode(code, numBits, format) {
+  const half = 2 ** (numBits - 1);
+  const word = parseInt(code, 2);
+  const fromMagnitude = (isUpper) =>
+    isUpper ? half + (word & (half - 1)) : half - 1 - (word & (half - 1));
+  switch (format) {
+    case "twos":
+      return word ^ half;
+    case "sign":
+      return fromMagnitude(!(word & half));
+    case "gray": {
+      let level = 0;
+      for (let g = word; g; g >>= 1) level ^= g;
+      return level;
+    }
+    case "folded":
+      return fromMagnitude(!!(word & half));
+    default:
+      return word;
+  }
+}
+
+// Number of differing bits between two equal-length code words
+export function countBitFlips(codeA, codeB) {
+  let flips = 0;
+  for (let i = 0; i < codeA.length; i++) {
+    if (codeA[i] !== codeB[i]) flips++;
+  }
+  return flips;
+}
+
+// --- Bitstream Decoder ---
+// Splits pasted or loaded text into code words of settings.wordLength bits:
+// whitespace-separated words must each have that length, and a single
+// continuous string is cut into words of that length. Throws an Error naming
+// the offending character, word or bit count.
+export function parseBitstream(text, { wordLength, numLevels, codeFormat }) {
+  const invalid = text.match(/[^01\s]/);
+  if (invalid) {
+    const line = text.slice(0, invalid.index).split("\n").length;
+    throw new Error(
+      `Bitstream may only contain 0, 1 and whitespace; found "${
+        invalid[0]
+      }" at character ${invalid.index + 1} (line ${line}).`
+    );
+  }
+  const tokens = text.split(/\s+/).filter((token) => token !== "");
+  if (tokens.length === 0) throw new Error("Paste or load a bitstream.");
+
+  let words;
+  if (tokens.length === 1) {
+    const [bits] = tokens;
+    const leftover = bits.length % wordLength;
+    if (leftover !== 0) {
+      throw new Error(
+        `The bitstream has ${
+          bits.length
+        } bits, not a whole number of ${wordLength}-bit words (${leftover} bit${
+          leftover === 1 ? "" : "s"
+        } left over).`
+      );
+    }
+    words = bits.match(new RegExp(`.{${wordLength}}`, "g"));
+  } else {
+    const misaligned = tokens.findIndex((token) => token.length !== wordLength);
+    if (misaligned >= 0) {
+      throw new Error(
+        `Word ${misaligned + 1} ("${tokens[misaligned]}") has ${
+          tokens[misaligned].length
+        } bits; expected ${wordLength}.`
+      );
+    }
+    words = tokens;
+  }
+  if (words.length > DECODE_MAX_WORDS) {
+    throw new Error(
+      `The bitstream holds ${words.length} words (max ${DECODE_MAX_WORDS}).`
+    );
+  }
+  const outOfRange = words.findIndex(
+    (word) => parseLevelCode(word, wordLength, codeFormat) >= numLevels
+  );
+  if (outOfRange >= 0) {
+    throw new Error(
+      `Word ${outOfRange + 1} (${
+        words[outOfRange]
+      }) decodes to level ${parseLevelCode(
+        words[outOfRange],
+        wordLength,
+        codeFormat
+      )}, beyond the ${numLevels} levels.`
+    );
+  }
+  return words;
+}
+
+// Decoded counterpart of generatePCMData's result for code words from
+// parseBitstream: word n is the level at n / samplingRate on a uniform grid
+// over ±fullScale, reconstructed with `reconstructionSettings`. Fields the
+// analog path fills (sampledData, errorData, ...) are left out; `decoded`
+// marks the result.
+export function decodeBitstream(words, settings, reconstructionSettings) {
+  const { wordLength, codeFormat, numLevels, samplingRate, fullScale } =
+    settings;
+  const samplingInterval = 1 / samplingRate;
+  const grid = createLevelGrid(
+    -fullScale,
+    fullScale,
+    numLevels,
+    settings.midTread
+  );
+  const levelIndices = words.map((word) =>
+    parseLevelCode(word, wordLength, codeFormat)
+  );
+  const quantizedData = levelIndices.map((level, n) => ({
+    x: n * samplingInterval,
+    y: grid.level(level),
+  }));
+  const endTime = words.length * samplingInterval;
+
+  let reconstructedData;
+  if (reconstructionSettings.method === "zoh") {
+    reconstructedData = buildZohStaircase(
+      quantizedData,
+      0,
+      endTime,
+      samplingInterval
+    );
+  } else {
+    const count = words.length * DECODE_POINTS_PER_SAMPLE + 1;
+    const times = Array.from(
+      { length: count },
+      (_, i) => (i * endTime) / (count - 1)
+    );
+    const values = reconstructSignal(
+      quantizedData,
+      times,
+      reconstructionSettings
+    );
+    reconstructedData = times.map((x, i) => ({ x, y: values[i] }));
+  }
+
+  return {
+    decoded: true,
+    quantizedData,
+    receivedData: quantizedData,
+    reconstructedData,
+    reconstruction: reconstructionSettings,
+    pcmCodes: words,
+    levelIndices,
+    codeFormat,
+    numBits: wordLength,
+    numLevels,
+    samplingRate,
+    samplingInterval,
+    startTime: 0,
+    endTime,
+    amplitude: fullScale,
+    signalMin: -fullScale,
+    signalMax: fullScale,
+    rangeMin: -fullScale,
+    rangeMax: fullScale,
+  };
+}
+
+// --- Line Coding ---
+// Serializes the bit string into the chosen line code at `bitRate` and
+// derives its power spectral density. Every bit is split into two half-bit
+// levels (+1, 0 or -1) so the return-to-zero and biphase codes fit one model.
+// Returns { code, bitRate, bitCount, waveform, receivedWaveform, psd,
+// spectralLines, firstNull } where waveform covers the first
+// LINE_CODE_MAX_BITS bits (as step points), receivedWaveform the same span of
+// the noisy half-bit `receivedLevels` from the channel (or null), and
+// psd is S(f) · Rb for random equiprobable bits, with the discrete spectral
+// lines (power) listed separately.
+function buildLineCoding(bits, code, bitRate, receivedLevels = null) {
+  const bitPeriod = 1 / bitRate;
+  const shownBits = bits.slice(0, LINE_CODE_MAX_BITS);
+  const toSteps = (levels) => {
+    const steps = [];
+    levels.forEach(([first, second], n) => {
+      steps.push({ x: n * bitPeriod, y: first, bit: shownBits[n] });
+      steps.push({ x: (n + 0.5) * bitPeriod, y: second, bit: shownBits[n] });
+    });
+    if (steps.length > 0) {
+      // Hold the last level to the end of its bit period
+      steps.push({ ...steps[steps.length - 1], x: levels.length * bitPeriod });
+    }
+    return steps;
+  };
+  const waveform = toSteps(lineCodeLevels(shownBits, code));
+  const receivedWaveform = receivedLevels
+    ? toSteps(receivedLevels.slice(0, LINE_CODE_MAX_BITS))
+    : null;
+
+  const maxFrequency = 4 * bitRate;
+  const psd = Array.from({ length: LINE_CODE_PSD_POINTS }, (_, i) => {
+    const f = (i / (LINE_CODE_PSD_POINTS - 1)) * maxFrequency;
+    return { x: f, y: lineCodePsd(code, f * bitPeriod) };
+  });
+  // Unipolar RZ keeps a nonzero mean, which shows up as lines at n Rb
+  const spectralLines =
+    code === "unipolarRz"
+      ? [0, 1, 2, 3, 4]
+          .map((n) => ({ x: n * bitRate, y: sinc(n / 2) ** 2 / 16 }))
+          .filter((line) => line.y > 1e-12)
+      : [];
+  const firstNullRatio = { nrzl: 1, nrzi: 1, ami: 1 }[code] || 2;
+
+  return {
+    code,
+    bitRate,
+    bitCount: bits.length,
+    waveform,
+    receivedWaveform,
+    psd,
+    spectralLines,
+    firstNull: firstNullRatio * bitRate,
+  };
+}
+
+// Half-bit levels [first, second] for each bit ("0"/"1") of the string
+function lineCodeLevels(bits, code) {
+  let level = -1; // Running state of the differential codes
+  let lastMark = -1; // Polarity of the last AMI mark
+  return [...bits].map((char) => {
+    const bit = char === "1";
+    switch (code) {
+      case "nrzi": // A 1 inverts the level, a 0 keeps it
+        if (bit) level = -level;
+        return [level, level];
+      case "unipolarRz":
+        return bit ? [1, 0] : [0, 0];
+      case "polarRz":
+        return bit ? [1, 0] : [-1, 0];
+      case "manchester": // IEEE 802.3: 1 rises mid-bit, 0 falls
+        return bit ? [-1, 1] : [1, -1];
+      case "diffManchester": {
+        // Always a mid-bit transition; a 0 adds one at the bit start
+        if (!bit) level = -level;
+        const first = level;
+        level = -level;
+        return [first, level];
+      }
+      case "ami": // Marks alternate in polarity (half-width pulses)
+        if (!bit) return [0, 0];
+        lastMark = -lastMark;
+        return [lastMark, 0];
+      default: // NRZ-L
+        return bit ? [1, 1] : [-1, -1];
+    }
+  });
+}
+
+// Continuous PSD × Rb at normalized frequency u = f·Tb for unit-amplitude
+// pulses and random equiprobable bits. NRZ-I and differential Manchester
+// share the spectra of NRZ-L and Manchester for such data.
+function lineCodePsd(code, u) {
+  switch (code) {
+    case "unipolarRz":
+      return sinc(u / 2) ** 2 / 16;
+    case "polarRz":
+      return sinc(u / 2) ** 2 / 4;
+    case "manchester":
+    case "diffManchester":
+      return sinc(u / 2) ** 2 * Math.sin((Math.PI * u) / 2) ** 2;
+    case "ami":
+      return (sinc(u / 2) ** 2 / 4) * Math.sin(Math.PI * u) ** 2;
+    default: // NRZ-L, NRZ-I
+      return sinc(u) ** 2;
+  }
+}
+
+// --- Time-Division Multiplexing ---
+export const TDM_LAYOUT_LABELS = { custom: "Custom", t1: "T1 (DS1)", e1: "E1" };
+export const TDM_CAPACITY = { t1: 24, e1: 30 }; // Voice channels per frame
+export const TDM_NOMINAL_RATES = { t1: 1544000, e1: 2048000 }; // bit/s at 8 kHz
+const T1_FRAMING_PATTERN = "100011011100"; // D4 superframe F bits, frames 1-12
+const E1_FAS = "10011011"; // TS0 of even frames: Si bit + frame alignment signal
+const E1_NFAS = "11011111"; // TS0 of odd frames: bit 2 = 1, no remote alarm
+const TDM_IDLE_CODES = { t1: "11111111", e1: "11010101" }; // μ-law / A-law zero
+
+// Frame layout for `layout`:
+//   "custom" - `syncWord`, then one `wordBits` slot per channel
+//   "t1"     - D4 superframe: an F bit (T1_FRAMING_PATTERN over 12 frames)
+//              and 24 8-bit slots, 193 bits per frame
+//   "e1"     - 32 8-bit slots, 256 bits: TS0 alternates the frame alignment
+//              signal and NFAS, TS16 is reserved for signalling, and the 30
+//              channels use TS1-15 and TS17-31
+// Returns { layout, frameBits, wordBits, multiframe, slots, sync(phase),
+// confirmFrames, lossErrors, lossWindow, idleCode }. Slots are { type
+// ("sync", "channel" or "signalling"), offset, bits, channel }; sync(phase)
+// gives the sync field written in frame `phase` of the multiframe and the
+// bits the receiver checks ("-" for unchecked). Words shorter than a slot
+// are padded with zeros; unused slots carry the idle code. Throws if a
+// T1/E1 slot cannot hold a word.
+function createTdmFormat(layout, channelCount, wordBits, syncWord) {
+  if (layout !== "custom" && wordBits > TDM_SLOT_BITS) {
+    throw new Error(
+      `${TDM_LAYOUT_LABELS[layout]} time slots hold ${TDM_SLOT_BITS} bits, but each sample takes ${wordBits}.`
+    );
+  }
+  const slots = [];
+  const addSlot = (type, bits, channel) => {
+    const previous = slots[slots.length - 1];
+    const offset = previous ? previous.offset + previous.bits : 0;
+    slots.push({ type, offset, bits, channel });
+  };
+  let framing;
+  if (layout === "t1") {
+    addSlot("sync", 1);
+    for (let ch = 0; ch < TDM_CAPACITY.t1; ch++) {
+      addSlot("channel", TDM_SLOT_BITS, ch);
+    }
+    framing = {
+      multiframe: T1_FRAMING_PATTERN.length,
+      sync: (phase) => ({
+        write: T1_FRAMING_PATTERN[phase],
+        check: T1_FRAMING_PATTERN[phase],
+      }),
+      confirmFrames: T1_FRAMING_PATTERN.length, // A whole superframe
+      lossErrors: 2, // F-bit errors within lossWindow frames
+      lossWindow: 4,
+      idleCode: TDM_IDLE_CODES.t1,
+    };
+  } else if (layout === "e1") {
+    addSlot("sync", TDM_SLOT_BITS);
+    for (let slot = 1; slot < 32; slot++) {
+      if (slot === 16) addSlot("signalling", TDM_SLOT_BITS);
+      else addSlot("channel", TDM_SLOT_BITS, slot < 16 ? slot - 1 : slot - 2);
+    }
+    framing = {
+      multiframe: 2,
+      // The Si bit is not checked; in NFAS only bit 2 is
+      sync: (phase) =>
+        phase === 0
+          ? { write: E1_FAS, check: `-${E1_FAS.slice(1)}` }
+          : { write: E1_NFAS, check: "-1------" },
+      confirmFrames: 3, // FAS, NFAS, FAS as in G.706
+      lossErrors: 3, // Three errored frames in a row
+      lossWindow: 3,
+      idleCode: TDM_IDLE_CODES.e1,
+    };
+  } else {
+    addSlot("sync", syncWord.length);
+    for (let ch = 0; ch < channelCount; ch++) {
+      addSlot("channel", wordBits, ch);
+    }
+    framing = {
+      multiframe: 1,
+      sync: () => ({ write: syncWord, check: syncWord }),
+      confirmFrames: 2,
+      lossErrors: 3,
+      lossWindow: 3,
+      idleCode: "0".repeat(wordBits),
+    };
+  }
+  const last = slots[slots.length - 1];
+  return {
+    layout,
+    frameBits: last.offset + last.bits,
+    wordBits,
+    slots,
+    ...framing,
+  };
+}
+
+// Interleaves channelCodes[ch][n] (one word per channel per frame) into
+// frames of `format`, with channel slots beyond the channel count idle.
+// Throws for a word that is not format.wordBits long, which would shift
+// every later slot and sync field of the stream.
+function multiplexTdm(format, channelCodes) {
+  const frameCount = channelCodes[0].length;
+  let bits = "";
+  for (let n = 0; n < frameCount; n++) {
+    for (const slot of format.slots) {
+      if (slot.type === "sync") {
+        bits += format.sync(n % format.multiframe).write;
+      } else if (
+        slot.type === "channel" &&
+        slot.channel < channelCodes.length
+      ) {
+        const word = channelCodes[slot.channel][n];
+        if (word.length !== format.wordBits) {
+          throw new Error(
+            `Channel ${slot.channel + 1} word ${n + 1} has ${
+              word.length
+            } bits; the ${TDM_LAYOUT_LABELS[format.layout]} frame expects ${
+              format.wordBits
+            }.`
+          );
+        }
+        bits += word.padEnd(slot.bits, "0");
+      } else {
+        bits += format.idleCode.padEnd(slot.bits, "0").slice(0, slot.bits);
+      }
+    }
+  }
+  return bits;
+}
+
+// Frame-synchronizing demultiplexer. It hunts bit by bit for the position
+// and multiframe phase where the sync pattern holds for confirmFrames
+// frames in a row, then demultiplexes frame by frame while checking the
+// sync field, and declares loss of sync (and hunts again from the next bit)
+// once lossErrors of the last lossWindow checks fail. Frames are placed
+// where the receiver believes they are, so a false lock yields wrong words.
+// Returns { words, events, framesInSync, misframed }: words[ch][n] is null
+// for frames received out of sync, events are { type: "acquired" | "lost",
+// frame } and misframed counts frames demultiplexed from a wrong alignment.
+function demultiplexTdm(bits, format, channelCount) {
+  const { frameBits, multiframe, confirmFrames } = format;
+  const frameCount = Math.floor(bits.length / frameBits);
+  const words = Array.from({ length: channelCount }, () =>
+    new Array(frameCount).fill(null)
+  );
+  const channelSlots = format.slots.filter(
+    (slot) => slot.type === "channel" && slot.channel < channelCount
+  );
+  const syncMatches = (start, phase) => {
+    const { check } = format.sync(phase);
+    for (let i = 0; i < check.length; i++) {
+      if (check[i] !== "-" && bits[start + i] !== check[i]) return false;
+    }
+    return true;
+  };
+  const hunt = (from) => {
+    for (
+      let start = from;
+      start + confirmFrames * frameBits <= bits.length;
+      start++
+    ) {
+      for (let phase = 0; phase < multiframe; phase++) {
+        let matches = true;
+        for (let k = 0; k < confirmFrames && matches; k++) {
+          matches = syncMatches(
+            start + k * frameBits,
+            (phase + k) % multiframe
+          );
+        }
+        if (matches) return { start, phase };
+      }
+    }
+    return null;
+  };
+
+  const events = [];
+  let framesInSync = 0;
+  let misframed = 0;
+  let lock = hunt(0);
+  while (lock) {
+    let { start, phase } = lock;
+    events.push({ type: "acquired", frame: Math.round(start / frameBits) });
+    const checks = [];
+    let lostAt = -1;
+    for (
+      ;
+      start + frameBits <= bits.length;
+      start += frameBits, phase = (phase + 1) % multiframe
+    ) {
+      checks.push(!syncMatches(start, phase));
+      if (checks.length > format.lossWindow) checks.shift();
+      if (checks.filter(Boolean).length >= format.lossErrors) {
+        lostAt = start;
+        break;
+      }
+      const frame = Math.round(start / frameBits);
+      if (frame >= frameCount) break;
+      framesInSync++;
+      if (start !== frame * frameBits || phase !== frame % multiframe) {
+        misframed++;
+      }
+      channelSlots.forEach((slot) => {
+        words[slot.channel][frame] = bits.substr(
+          start + slot.offset,
+          format.wordBits
+        );
+      });
+    }
+    if (lostAt < 0) break;
+    events.push({ type: "lost", frame: Math.round(lostAt / frameBits) });
+    lock = hunt(lostAt + 1);
+  }
+  return { words, events, framesInSync, misframed };
+}
+
+// Multiplexes the channels (generatePCMData results, channel 1 first) into
+// TDM frames per `settings` { layout, signals, syncWord }, where signals
+// describes channels 2, 3, ... as { waveform, frequency, amplitude }, sends
+// the aggregate stream over the channel and demultiplexes it again. Recovered
+// samples are decoded by each channel's own decoder (null where frames were
+// lost) and compared with the channel's samples over the frames received.
+export function buildTdm(channels, settings, channelSettings, lineCode) {
+  const { numBits, samplingRate } = channels[0];
+  const format = createTdmFormat(
+    settings.layout,
+    channels.length,
+    numBits,
+    settings.syncWord
+  );
+  const bits = multiplexTdm(
+    format,
+    channels.map((channel) => channel.pcmCodes)
+  );
+  const transmission = transmitBits(bits, channelSettings, lineCode);
+  const demux = demultiplexTdm(transmission.bits, format, channels.length);
+  const labels = [
+    "Channel 1",
+    ...settings.signals.map(({ waveform, frequency, amplitude }, i) => {
+      const peak = +amplitude.toFixed(3);
+      return `Channel ${i + 2} (${frequency} Hz ${waveform}, A = ${peak})`;
+    }),
+  ];
+
+  return {
+    ...settings,
+    format,
+    frameCount: channels[0].pcmCodes.length,
+    frameRate: samplingRate,
+    aggregateBitRate: format.frameBits * samplingRate,
+    bitCount: bits.length,
+    bitErrors: transmission.bitErrors,
+    previewBits: bits.slice(0, TDM_PREVIEW_FRAMES * format.frameBits),
+    events: demux.events,
+    framesInSync: demux.framesInSync,
+    misframed: demux.misframed,
+    channels: channels.map((channel, ch) => {
+      const recovered = channel.decodeWords(demux.words[ch]);
+      const received = channel.sampledData.filter(
+        (_, n) => recovered[n] !== null
+      );
+      return {
+        label: labels[ch],
+        recoveredData: channel.sampledData.map(({ x }, n) => ({
+          x,
+          y: recovered[n],
+        })),
+        snrDb: calculateSNR(
+          received,
+          recovered.filter((value) => value !== null).map((y) => ({ y }))
+        ),
+      };
+    }),
+  };
+}
+
+// --- Channel ---
+// Sends the serialized bits over the selected channel. `settings.type` is:
+//   "none" - ideal channel
+//   "bsc"  - binary symmetric channel: each bit flips with `errorProbability`
+//   "awgn" - the bits are line coded (`lineCode`, see lineCodeLevels), white
+//            Gaussian noise at `snrDb` (mean level power over noise variance,
+//            per half-bit sample) is added and a threshold detector decides
+// `seed` makes the noise repeatable between redraws. Returns { bits,
+// bitErrors, levels } with levels the noisy half-bit values (AWGN only).
+function transmitBits(bits, settings, lineCode) {
+  if (settings.type === "none") return { bits, bitErrors: 0, levels: null };
+  const random = createRandom(settings.seed);
+
+  let received;
+  let levels = null;
+  if (settings.type === "bsc") {
+    received = [...bits]
+      .map((bit) =>
+        random() < settings.errorProbability ? (bit === "1" ? "0" : "1") : bit
+      )
+      .join("");
+  } else {
+    const clean = lineCodeLevels(bits, lineCode);
+    const power =
+      clean.reduce(
+        (sum, [first, second]) => sum + first ** 2 + second ** 2,
+        0
+      ) /
+        (2 * clean.length) || 1;
+    const sigma = Math.sqrt(power / 10 ** (settings.snrDb / 10));
+    levels = clean.map((pair) =>
+      pair.map((level) => level + sigma * gaussianRandom(random))
+    );
+    received = detectLineCode(levels, lineCode);
+  }
+
+  let bitErrors = 0;
+  for (let i = 0; i < bits.length; i++) {
+    if (bits[i] !== received[i]) bitErrors++;
+  }
+  return { bits: received, bitErrors, levels };
+}
+
+// Threshold detector for noisy half-bit levels, the inverse of lineCodeLevels
+function detectLineCode(levels, code) {
+  let previousLevel = -1; // Matches the initial state of the differential codes
+  return levels
+    .map(([first, second]) => {
+      switch (code) {
+        case "nrzi": {
+          const level = first + second > 0 ? 1 : -1;
+          const bit = level !== previousLevel;
+          previousLevel = level;
+          return bit;
+        }
+        case "unipolarRz":
+          return first > 0.5;
+        case "polarRz":
+          return first > 0;
+        case "manchester":
+          return second > first;
+        case "diffManchester": {
+          // A 1 keeps the polarity across the bit boundary
+          const bit = first > 0 === previousLevel > 0;
+          previousLevel = second > 0 ? 1 : -1;
+          return bit;
+        }
+        case "ami":
+          return Math.abs(first) > 0.5;
+        default: // NRZ-L
+          return first + second > 0;
+      }
+    })
+    .map((bit) => (bit ? "1" : "0"))
+    .join("");
+}
+
+// --- Clock Jitter ---
+// Sampling clock error model. `settings` is { type, rms, frequency, offset,
+// seed } (seconds, Hz) with type:
+//   "none"       - no jitter (a fixed offset can still apply)
+//   "gaussian"   - independent normal errors with standard deviation rms
+//   "uniform"    - independent errors uniform over ±rms·√3
+//   "sinusoidal" - a periodic error rms·√2·sin(2π·frequency·t)
+// Returns { offset, jitter(t), isIdeal } with jitter(t) the random part for
+// the sample due at nominal time t.
+function createSamplingClock(settings) {
+  const {
+    type = "none",
+    rms = 0,
+    frequency = 0,
+    offset = 0,
+    seed = 0,
+  } = settings;
+  const random = createRandom(seed);
+  const jitter =
+    {
+      gaussian: () => rms * gaussianRandom(random),
+      uniform: () => rms * Math.sqrt(3) * (2 * random() - 1),
+      sinusoidal: (t) =>
+        rms * Math.SQRT2 * Math.sin(2 * Math.PI * frequency * t),
+    }[type] || (() => 0);
+  return {
+    offset: offset || 0,
+    jitter,
+    isIdeal: (type === "none" || !rms) && !offset,
+  };
+}
+
+// Jitter-limited SNR of a signal with known sine series for white jitter of
+// standard deviation `rms`: the error is rms times the slope, so
+// SNR = -20·log10(2π·f·rms) at the amplitude-weighted RMS frequency f (the
+// tone frequency for a pure sine). Returns { snrDb, frequency } or null.
+function jitterTheory(wave, rms) {
+  const sinusoids = getSinusoidalComponents(wave);
+  if (!sinusoids || !rms) return null;
+  let tonePower = 0;
+  let weighted = 0;
+  sinusoids.components.forEach(({ frequency, amplitude }) => {
+    tonePower += amplitude ** 2 / 2;
+    weighted += (amplitude ** 2 / 2) * frequency ** 2;
+  });
+  if (weighted === 0) return null;
+  const frequency = Math.sqrt(weighted / tonePower);
+  // A DC offset adds signal power but no slope
+  const signalPower = sinusoids.offset ** 2 + tonePower;
+  const noisePower = (2 * Math.PI * rms) ** 2 * weighted;
+  return { snrDb: 10 * Math.log10(signalPower / noisePower), frequency };
+}
+
+// --- Random Numbers ---
+// Seeded uniform generator on [0, 1) (mulberry32), so simulations redraw the
+// same noise until the seed changes
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller) from a uniform generator
+function gaussianRandom(random) {
+  const u = 1 - random(); // Avoid log(0)
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// --- Spectrum ---
+// In-place radix-2 FFT; re and im must share a power-of-two length
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    // Bit-reversal permutation
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+      }
+    }
+  }
+}
+
+// FFT of `values` windowed with one of SINC_WINDOWS and zero-padded to a
+// power of two (at least SPECTRUM_MIN_FFT). Returns { re, im, size, count,
+// gain } with gain the window sum (coherent gain × count).
+function windowedFft(values, windowType) {
+  const count = Math.min(values.length, SPECTRUM_MAX_FFT);
+  let size = SPECTRUM_MIN_FFT;
+  while (size < count) size <<= 1;
+  const window = SINC_WINDOWS[windowType] || SINC_WINDOWS.rectangular;
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  let gain = 0;
+  for (let i = 0; i < count; i++) {
+    const weight = window((2 * i + 1) / count - 1);
+    re[i] = values[i] * weight;
+    gain += weight;
+  }
+  fft(re, im);
+  return { re, im, size, count, gain };
+}
+
+// Single-sided amplitude spectrum in dB of `values` taken at `sampleRate`,
+// windowed with one of SINC_WINDOWS and scaled so a sinusoid of amplitude A
+// peaks at 20·log10(A). A sample sequence has a spectrum periodic in its
+// rate, so with `isPeriodic` the bins repeat up to maxFrequency (spectral
+// images); otherwise the trace stops at sampleRate / 2.
+function amplitudeSpectrum(
+  values,
+  sampleRate,
+  windowType,
+  maxFrequency,
+  isPeriodic
+) {
+  const { re, im, size, gain } = windowedFft(values, windowType);
+  const binWidth = sampleRate / size;
+  const limit = isPeriodic
+    ? maxFrequency
+    : Math.min(maxFrequency, sampleRate / 2);
+  const points = [];
+  for (let k = 0; k * binWidth <= limit; k++) {
+    const bin = k % size;
+    const amplitude =
+      ((bin === 0 ? 1 : 2) * Math.hypot(re[bin], im[bin])) / gain;
+    points.push({
+      x: k * binWidth,
+      y: Math.max(SPECTRUM_FLOOR_DB, 20 * Math.log10(amplitude)),
+    });
+  }
+  return downsampleSpectrum(points, SPECTRUM_MAX_POINTS);
+}
+
+// Keeps the largest value of each bucket so narrow peaks survive
+function downsampleSpectrum(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+  const bucketSize = Math.ceil(points.length / maxPoints);
+  const result = [];
+  for (let start = 0; start < points.length; start += bucketSize) {
+    let best = points[start];
+    for (
+      let i = start + 1;
+      i < Math.min(start + bucketSize, points.length);
+      i++
+    ) {
+      if (points[i].y > best.y) best = points[i];
+    }
+    result.push(best);
+  }
+  return result;
+}
+
+// Up to `count` local maxima within SPECTRUM_PEAK_RANGE_DB of the highest
+// one, strongest first. A peak closer than `minSeparation` (Hz) to a stronger
+// one is taken as a window sidelobe and skipped.
+function findSpectrumPeaks(points, count, minSeparation) {
+  const highest = points.reduce(
+    (max, point) => Math.max(max, point.y),
+    -Infinity
+  );
+  const peaks = [];
+  points
+    .filter(
+      (point, i) =>
+        point.y > (points[i - 1]?.y ?? -Infinity) &&
+        point.y >= (points[i + 1]?.y ?? -Infinity) &&
+        point.y > highest - SPECTRUM_PEAK_RANGE_DB
+    )
+    .sort((a, b) => b.y - a.y)
+    .forEach((point) => {
+      if (
+        peaks.length < count &&
+        peaks.every((peak) => Math.abs(peak.x - point.x) >= minSeparation)
+      ) {
+        peaks.push(point);
+      }
+    });
+  return peaks;
+}
+
+// Spectra of every stage from generatePCMData's result. `settings` is
+// { window, peaksOf } with peaksOf a SPECTRUM_TRACE_LABELS key or "none".
+// Returns { window, maxFrequency, traces, peaks, aliases, noiseFloorDb,
+// minDb, maxDb }: aliases are analog peaks above fs/2 at the frequency they
+// fold to, and the noise floor is the median of the quantized baseband.
+export function buildSpectra(data, settings) {
+  const { analogData, samplingRate } = data;
+  const analogRate =
+    analogData.length > 1
+      ? 1 / (analogData[1].x - analogData[0].x)
+      : samplingRate;
+  const maxFrequency = SPECTRUM_IMAGE_SPAN * samplingRate;
+  const spectrumOf = (values, rate, isPeriodic) =>
+    amplitudeSpectrum(values, rate, settings.window, maxFrequency, isPeriodic);
+  const traces = {
+    analog: spectrumOf(
+      analogData.map((point) => point.y),
+      analogRate,
+      false
+    ),
+    sampled: spectrumOf(
+      data.sampledData.map((point) => point.y),
+      samplingRate,
+      true
+    ),
+    quantized: spectrumOf(
+      data.receivedData.map((point) => point.y),
+      samplingRate,
+      true
+    ),
+    reconstructed: spectrumOf(data.reconstructedOnGrid, analogRate, false),
+  };
+
+  const nyquist = samplingRate / 2;
+  // Main lobe plus nearest sidelobes span a few 1/duration bins
+  const minSeparation =
+    SPECTRUM_PEAK_SEPARATION / (data.endTime - data.startTime);
+  const aliases = findSpectrumPeaks(
+    traces.analog,
+    SPECTRUM_PEAK_COUNT,
+    minSeparation
+  )
+    .filter((peak) => peak.x > nyquist * 1.001)
+    .map((peak) => {
+      const folded = Math.abs(
+        peak.x - samplingRate * Math.round(peak.x / samplingRate)
+      );
+      const nearest = traces.sampled.reduce((best, point) =>
+        Math.abs(point.x - folded) < Math.abs(best.x - folded) ? point : best
+      );
+      return { x: folded, y: nearest.y, from: peak.x };
+    });
+
+  const baseband = traces.quantized
+    .filter((point) => point.x <= nyquist)
+    .map((point) => point.y)
+    .sort((a, b) => a - b);
+  const noiseFloorDb = baseband[Math.floor(baseband.length / 2)];
+
+  const maxDb =
+    Math.max(
+      ...Object.values(traces).map((trace) =>
+        trace.reduce((max, point) => Math.max(max, point.y), SPECTRUM_FLOOR_DB)
+      )
+    ) + 10;
+
+  return {
+    window: settings.window,
+    maxFrequency,
+    traces,
+    peaks:
+      settings.peaksOf in traces
+        ? findSpectrumPeaks(
+            traces[settings.peaksOf],
+            SPECTRUM_PEAK_COUNT,
+            minSeparation
+          )
+        : [],
+    aliases,
+    noiseFloorDb,
+    minDb: maxDb - SPECTRUM_RANGE_DB,
+    maxDb,
+  };
+}
+
+// Blackman-windowed spectrum of the sigma-delta output up to half the
+// modulator rate (the window keeps leakage below the shaped noise), with
+// the linear-model noise floor: white quantization noise of step²/12
+// through |NTF| = |2 sin(πf/f_mod)|^order. Returns { points, ntf }.
+export function buildModulatorSpectrum(sigmaDelta) {
+  const { modulatorData, modulatorRate, order, outputBits, reference } =
+    sigmaDelta;
+  const values = modulatorData.map((point) => point.y);
+  const points = amplitudeSpectrum(
+    values,
+    modulatorRate,
+    "blackman",
+    modulatorRate / 2,
+    true
+  ).filter((point) => point.x > 0); // Plotted on a log axis
+  // Per-bin amplitude of white noise: 2σ·√(Σw²)/Σw for window w
+  const count = Math.min(values.length, SPECTRUM_MAX_FFT);
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < count; i++) {
+    const weight = SINC_WINDOWS.blackman((2 * i + 1) / count - 1);
+    sum += weight;
+    sumSquares += weight ** 2;
+  }
+  const noiseStep = (2 * reference) / (2 ** outputBits - 1);
+  const floorDb =
+    20 *
+    Math.log10((2 * (noiseStep / Math.sqrt(12)) * Math.sqrt(sumSquares)) / sum);
+  const ntf = points.map(({ x }) => ({
+    x,
+    y:
+      floorDb +
+      20 * order * Math.log10(2 * Math.sin((Math.PI * x) / modulatorRate)),
+  }));
+  return { points, ntf };
+}
+
+// --- Aliasing ---
+// Apparent frequency of a tone at `frequency` sampled at `samplingRate`:
+// { apparent, signed, multiple } with the tone folded to signed =
+// frequency - multiple * samplingRate, so apparent = |signed| <= fs/2. A
+// negative signed frequency means the alias runs with inverted phase.
+function foldFrequency(frequency, samplingRate) {
+  const multiple = Math.round(frequency / samplingRate);
+  const signed = frequency - multiple * samplingRate;
+  return { apparent: Math.abs(signed), signed, multiple };
+}
+
+// Sine-series view of the parameter-driven waveforms, as { components,
+// offset, envelope, exact }: components are [{ frequency, amplitude,
+// phaseRad }] and the signal is offset + envelope(t) * Σ components.
+// Square, triangle and sawtooth keep only their significant harmonics
+// (exact = false); expressions and WAV files have no series (null).
+function getSinusoidalComponents(wave) {
+  const { waveform, frequency, amplitude, phaseRad } = wave;
+  const harmonic = (n, scale) => ({
+    frequency: n * frequency,
+    amplitude: Math.abs(scale),
+    phaseRad: n * phaseRad + (scale < 0 ? Math.PI : 0),
+  });
+  const series = (harmonics, scaleOf) =>
+    harmonics.map((n) => harmonic(n, scaleOf(n))).filter((c) => c.amplitude);
+  const significant = Array.from(
+    { length: getHighestSignificantHarmonic(waveform, wave.harmonicCount) },
+    (_, i) => i + 1
+  );
+  const base = { offset: 0, envelope: () => 1, exact: true };
+  switch (waveform) {
+    case "multitone":
+      return { ...base, components: wave.components };
+    case "harmonics":
+      return {
+        ...base,
+        components: series(
+          Array.from({ length: wave.harmonicCount }, (_, i) => i + 1),
+          (n) => amplitude / n
+        ),
+      };
+    case "square":
+      return {
+        ...base,
+        components: series(significant, (n) =>
+          n % 2 ? (4 * amplitude) / (Math.PI * n) : 0
+        ),
+        exact: false,
+      };
+    case "triangle":
+      return {
+        ...base,
+        components: series(significant, (n) =>
+          n % 2
+            ? ((8 * amplitude) / (Math.PI * n) ** 2) * (n % 4 === 1 ? 1 : -1)
+            : 0
+        ),
+        exact: false,
+      };
+    case "sawtooth":
+      return {
+        ...base,
+        components: series(
+          significant,
+          (n) => ((2 * amplitude) / (Math.PI * n)) * (n % 2 ? 1 : -1)
+        ),
+        exact: false,
+      };
+    case "expression":
+    case "wav":
+      return null;
+    default:
+      return {
+        ...base,
+        components: [harmonic(1, amplitude)],
+        offset: waveform === "dcSine" ? wave.dcOffset : 0,
+        envelope:
+          waveform === "decaying"
+            ? (t) => Math.exp(-wave.decayRate * t)
+            : base.envelope,
+      };
+  }
+}
+
+// Folds every component of `wave` about fs/2. Returns null for signals
+// without a known series, else { nyquist, diagramMax, components: [{ frequency,
+// apparent, amplitude, gain, aliased, inverted }], aliasData, exact } where
+// aliasData (null if nothing aliases) is the band-limited signal through the
+// same samples, on `times`: each component replaced by its alias, phased so
+// it matches at startTime + n / fs. `prefilter` ({ sections, sampleRate },
+// optional) applies the prefilter's steady-state gain and phase first.
+function buildAliasing(wave, samplingRate, startTime, times, prefilter) {
+  const sinusoids = getSinusoidalComponents(wave);
+  if (!sinusoids) return null;
+  const nyquist = samplingRate / 2;
+  const folded = sinusoids.components.map((component) => {
+    const { apparent, signed, multiple } = foldFrequency(
+      component.frequency,
+      samplingRate
+    );
+    const response = prefilter
+      ? filterResponse(
+          prefilter.sections,
+          component.frequency,
+          prefilter.sampleRate
+        )
+      : { magnitude: 1, phase: 0 };
+    return {
+      frequency: component.frequency,
+      apparent,
+      signed,
+      amplitude: component.amplitude * response.magnitude,
+      gain: response.magnitude, // Prefilter gain, 1 without one
+      // Phase that keeps the alias on the samples from startTime onwards
+      phaseRad:
+        component.phaseRad +
+        response.phase +
+        2 * Math.PI * multiple * samplingRate * startTime,
+      aliased: component.frequency > nyquist * (1 + 1e-9),
+      inverted: signed < 0,
+    };
+  });
+  const aliasData =
+    sinusoids.exact && folded.some((component) => component.aliased)
+      ? times.map((t) => ({
+          x: t,
+          y:
+            sinusoids.offset +
+            sinusoids.envelope(t) *
+              folded.reduce(
+                (sum, c) =>
+                  sum +
+                  c.amplitude *
+                    Math.sin(2 * Math.PI * c.signed * t + c.phaseRad),
+                0
+              ),
+        }))
+      : null;
+  const highest = Math.max(...folded.map((c) => c.frequency), nyquist);
+  return {
+    nyquist,
+    // Folding diagram span: whole fs/2 zones with room past the highest component
+    diagramMax: Math.max(2, Math.ceil((highest * 1.1) / nyquist)) * nyquist,
+    components: folded.map(
+      ({ frequency, apparent, amplitude, gain, aliased, inverted }) => ({
+        frequency,
+        apparent,
+        amplitude,
+        gain,
+        aliased,
+        inverted,
+      })
+    ),
+    aliasData,
+    exact: sinusoids.exact,
+  };
+}
+
+// --- SNR ---
+// Returns the SNR in dB (±Infinity at the extremes) or null if undefined
+export function calculateSNR(sampled, quantized) {
+  if (
+    !sampled ||
+    sampled.length === 0 ||
+    !quantized ||
+    quantized.length !== sampled.length
+  ) {
+    return null;
+  }
+  let signalPower = 0;
+  let noisePower = 0;
+  const n = sampled.length;
+
+  for (let i = 0; i < n; i++) {
+    const signalVal = sampled[i].y;
+    const errorVal = signalVal - (quantized[i]?.y ?? 0);
+    signalPower += signalVal * signalVal;
+    noisePower += errorVal * errorVal;
+  }
+  signalPower /= n;
+  noisePower /= n;
+
+  const epsilon = 1e-12;
+  if (noisePower < epsilon) return Infinity;
+  if (signalPower < epsilon) return null; // No signal to measure against
+  return 10 * Math.log10(signalPower / noisePower);
+}
+
+// --- Quality Metrics ---
+// Single-tone measurements on a sample sequence: the strongest non-DC
+// component is taken as the test tone. Returns null without one, else
+// { frequency, sinadDb, thdDb, sfdrDb }. SINAD comes from a least-squares
+// sine fit at the measured frequency; THD (harmonics 2..METRIC_HARMONICS,
+// folded into the baseband) and SFDR come from the windowed spectrum.
+function analyzeTone(values, sampleRate, windowType) {
+  if (values.length < 4) return null;
+  const { re, im, size, count } = windowedFft(values, windowType);
+  const half = size / 2;
+  const power = Array.from(
+    { length: half + 1 },
+    (_, k) => re[k] ** 2 + im[k] ** 2
+  );
+  // Main lobe half-width, converted from record bins to FFT bins
+  const lobe = Math.ceil(((METRIC_LOBE_BINS[windowType] || 2) * size) / count);
+
+  let toneBin = -1;
+  for (let k = lobe + 1; k <= half; k++) {
+    if (toneBin < 0 || power[k] > power[toneBin]) toneBin = k;
+  }
+  if (toneBin < 0 || power[toneBin] < 1e-20) return null;
+  // Parabolic interpolation on the log magnitude refines the bin frequency
+  const [a, b, c] = [toneBin - 1, toneBin, Math.min(toneBin + 1, half)].map(
+    (k) => Math.log(power[k] + 1e-300)
+  );
+  const offset = a - 2 * b + c !== 0 ? (0.5 * (a - c)) / (a - 2 * b + c) : 0;
+  const binWidth = sampleRate / size;
+  // Short records bias the FFT estimate, so the frequency is settled by
+  // minimising the sine-fit residual within one record bin of it. The ~40
+  // fits of the search run on the start of long records only; the final fit
+  // covers all of it.
+  const estimate = (toneBin + offset) * binWidth;
+  const searchValues = values.slice(0, METRIC_FIT_MAX_SAMPLES);
+  const frequency = minimizeScalar(
+    (f) => fitSine(searchValues, f / sampleRate).residualPower,
+    Math.max(0, estimate - sampleRate / count),
+    Math.min(sampleRate / 2, estimate + sampleRate / count)
+  );
+  const { fitPower, residualPower } = fitSine(values, frequency / sampleRate);
+
+  const bandPower = (center) => {
+    let sum = 0;
+    for (
+      let k = Math.max(0, center - lobe);
+      k <= Math.min(half, center + lobe);
+      k++
+    ) {
+      sum += power[k];
+    }
+    return sum;
+  };
+  const isNear = (k, center) => Math.abs(k - center) <= lobe;
+  const tonePower = bandPower(toneBin);
+
+  let harmonicPower = 0;
+  for (let h = 2; h <= METRIC_HARMONICS; h++) {
+    let folded = (h * frequency) % sampleRate;
+    if (folded > sampleRate / 2) folded = sampleRate - folded;
+    const bin = Math.round(folded / binWidth);
+    // Harmonics folding onto DC or the tone itself cannot be separated
+    if (!isNear(bin, 0) && Math.abs(bin - toneBin) > 2 * lobe) {
+      harmonicPower += bandPower(bin);
+    }
+  }
+
+  let spurPower = 0;
+  for (let k = 0; k <= half; k++) {
+    if (!isNear(k, 0) && !isNear(k, toneBin))
+      spurPower = Math.max(spurPower, power[k]);
+  }
+
+  const toDb = (ratio) => 10 * Math.log10(ratio);
+  return {
+    frequency,
+    sinadDb: residualPower > 1e-24 ? toDb(fitPower / residualPower) : Infinity,
+    thdDb: harmonicPower > 0 ? toDb(harmonicPower / tonePower) : -Infinity,
+    sfdrDb: spurPower > 0 ? toDb(power[toneBin] / spurPower) : Infinity,
+  };
+}
+
+// Three-parameter sine fit values ≈ A cos(2π f n) + B sin(2π f n) + C at the
+// normalized frequency f. Returns { fitPower, residualPower } (mean powers).
+function fitSine(values, normalizedFrequency) {
+  const omega = 2 * Math.PI * normalizedFrequency;
+  const count = values.length;
+  const cosines = new Float64Array(count);
+  const sines = new Float64Array(count);
+  for (let n = 0; n < count; n++) {
+    cosines[n] = Math.cos(omega * n);
+    sines[n] = Math.sin(omega * n);
+  }
+  const [fitA, fitB, fitC] = solveLeastSquares(
+    [cosines, sines, new Float64Array(count).fill(1)],
+    values
+  );
+  let residualPower = 0;
+  for (let n = 0; n < count; n++) {
+    const fitted = fitA * cosines[n] + fitB * sines[n] + fitC;
+    residualPower += (values[n] - fitted) ** 2;
+  }
+  return {
+    fitPower: (fitA ** 2 + fitB ** 2) / 2,
+    residualPower: residualPower / values.length,
+  };
+}
+
+// Golden-section search for the minimum of a unimodal `cost` on [low, high]
+function minimizeScalar(cost, low, high, iterations = 40) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = low;
+  let b = high;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let costC = cost(c);
+  let costD = cost(d);
+  for (let i = 0; i < iterations; i++) {
+    if (costC < costD) {
+      [b, d, costD] = [d, c, costC];
+      c = b - ratio * (b - a);
+      costC = cost(c);
+    } else {
+      [a, c, costC] = [c, d, costD];
+      d = a + ratio * (b - a);
+      costD = cost(d);
+    }
+  }
+  return (a + b) / 2;
+}
+
+// Least-squares coefficients x for Σ x_i · columns[i] ≈ targets via the
+// normal equations (small, well-conditioned systems only)
+function solveLeastSquares(columns, targets) {
+  const width = columns.length;
+  const matrix = Array.from({ length: width }, () =>
+    new Array(width + 1).fill(0)
+  );
+  for (let n = 0; n < targets.length; n++) {
+    for (let i = 0; i < width; i++) {
+      for (let j = 0; j < width; j++) {
+        matrix[i][j] += columns[i][n] * columns[j][n];
+      }
+      matrix[i][width] += columns[i][n] * targets[n];
+    }
+  }
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < width; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < width; r++) {
+      if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    if (Math.abs(matrix[col][col]) < 1e-12) continue; // Degenerate column
+    for (let r = 0; r < width; r++) {
+      if (r === col) continue;
+      const factor = matrix[r][col] / matrix[col][col];
+      for (let c = col; c <= width; c++)
+        matrix[r][c] -= factor * matrix[col][c];
+    }
+  }
+  return matrix.map((row, i) =>
+    Math.abs(row[i]) < 1e-12 ? 0 : row[width] / row[i]
+  );
+}
+
+// Quantization quality of generatePCMData's result against the ideal
+// uniform quantizer (or the ideal sigma-delta loop): { theoryLabel,
+// theoryBits, theoreticalSnrDb, levelSnrDb, measuredSnrDb,
+// loadingDb, tone (see analyzeTone), enob, peakError, rmsError, step,
+// notes } where notes explain a measured SNR far from the theory.
+export function computeQualityMetrics(data, windowType) {
+  const {
+    sampledData,
+    quantizedData,
+    errorData,
+    samplingRate,
+    numBits,
+    numLevels,
+    rangeMin,
+    rangeMax,
+    encodingMode,
+    quantizerType,
+    clippedFlags,
+  } = data;
+  const count = sampledData.length;
+  const isUniformPcm = encodingMode === "pcm" && quantizerType === "uniform";
+  const { sigmaDelta } = data;
+  // Sigma-delta: the modulator's bits plus the in-band share of its shaped
+  // noise, 6.02B + 1.76 − 10·log10(π^2L / (2L + 1)) + (2L + 1)·10·log10(OSR)
+  const theoryBits = sigmaDelta ? sigmaDelta.outputBits : numBits;
+  const levels = sigmaDelta
+    ? 2 ** theoryBits
+    : encodingMode === "pcm"
+    ? numLevels
+    : 2 ** numBits;
+  const shapingGainDb = sigmaDelta
+    ? (2 * sigmaDelta.order + 1) * 10 * Math.log10(sigmaDelta.osr) -
+      10 *
+        Math.log10(
+          Math.PI ** (2 * sigmaDelta.order) / (2 * sigmaDelta.order + 1)
+        )
+    : 0;
+  const theoreticalSnrDb = 6.02 * theoryBits + 1.76 + shapingGainDb;
+  const levelSnrDb = 6.02 * Math.log2(levels) + 1.76 + shapingGainDb; // Differs if levels < 2^N
+  const measuredSnrDb = calculateSNR(sampledData, quantizedData);
+
+  // Signal power relative to a full-scale sine, which the formula assumes
+  const halfRange = sigmaDelta
+    ? sigmaDelta.reference
+    : (rangeMax - rangeMin) / 2;
+  const signalPower =
+    sampledData.reduce((sum, point) => sum + point.y ** 2, 0) / count;
+  const loadingDb = 10 * Math.log10(signalPower / (halfRange ** 2 / 2));
+
+  const peakError = errorData.reduce(
+    (max, point) => Math.max(max, Math.abs(point.y)),
+    0
+  );
+  const rmsError = Math.sqrt(
+    errorData.reduce((sum, point) => sum + point.y ** 2, 0) / count
+  );
+  const step = isUniformPcm ? (rangeMax - rangeMin) / levels : null;
+
+  const tone = analyzeTone(
+    quantizedData.map((point) => point.y),
+    samplingRate,
+    windowType
+  );
+  const enob =
+    tone && isFinite(tone.sinadDb) ? (tone.sinadDb - 1.76) / 6.02 : null;
+
+  const notes = [];
+  if (
+    measuredSnrDb !== null &&
+    isFinite(measuredSnrDb) &&
+    Math.abs(measuredSnrDb - theoreticalSnrDb) > METRIC_DIVERGENCE_DB
+  ) {
+    if (sigmaDelta) {
+      notes.push(
+        `The sigma-delta theory assumes an ideal brick-wall decimator and linear quantizer noise. The sinc^${
+          sigmaDelta.order + 1
+        } decimator lets some shaped noise through, and its passband droop counts as error in the sample-by-sample SNR (SINAD fits the tone, so it does not). The input is held to ${
+          SDM_MAX_INPUT * 100
+        }% of the feedback reference for stability.`
+      );
+    } else if (!isUniformPcm) {
+      notes.push(
+        "6.02N + 1.76 dB describes uniform PCM; companding, predictive and delta coders trade SNR differently."
+      );
+    }
+    if (levels < 2 ** theoryBits) {
+      notes.push(
+        `Only ${levels} of the ${
+          2 ** theoryBits
+        } codes are used, worth log2(${levels}) = ${Math.log2(levels).toFixed(
+          2
+        )} bits (${levelSnrDb.toFixed(2)} dB).`
+      );
+    }
+    if (Math.abs(loadingDb) > 1) {
+      notes.push(
+        `The signal power is ${Math.abs(loadingDb).toFixed(1)} dB ${
+          loadingDb < 0 ? "below" : "above"
+        } a full-scale sine (the formula assumes one), which shifts the SNR by the same amount.`
+      );
+    }
+    if (data.dither && data.dither.type !== "none") {
+      notes.push(
+        "Dither adds its own noise power, trading SNR for an error that no longer follows the signal."
+      );
+    }
+    if (data.dither && data.dither.shapingOrder > 0) {
+      notes.push(
+        "Noise shaping raises the total error power while pushing it towards fs/2; the in-band share is what drops."
+      );
+    }
+    if (clippedFlags.some(Boolean)) {
+      notes.push(
+        "Clipped samples add overload error on top of the granular noise."
+      );
+    }
+    const samplesPerCycle = tone ? samplingRate / tone.frequency : 0;
+    if (
+      samplesPerCycle > 0 &&
+      Math.abs(samplesPerCycle - Math.round(samplesPerCycle)) < 0.01 &&
+      Math.round(samplesPerCycle) < count
+    ) {
+      notes.push(
+        `fs is an exact multiple of the tone (${Math.round(
+          samplesPerCycle
+        )} samples per cycle), so the same few values repeat and the error does not average like uniform noise.`
+      );
+    }
+    if (count < METRIC_MIN_SAMPLES) {
+      notes.push(
+        `Only ${count} samples: too few for the error to behave like uniform noise.`
+      );
+    }
+  }
+
+  return {
+    theoryLabel: sigmaDelta
+      ? `Theoretical SQNR (order ${sigmaDelta.order}, OSR ${sigmaDelta.osr})`
+      : "Theoretical SQNR (6.02N + 1.76)",
+    theoryBits,
+    theoreticalSnrDb,
+    levelSnrDb,
+    measuredSnrDb,
+    loadingDb,
+    tone,
+    enob,
+    peakError,
+    rmsError,
+    step,
+    notes,
+  };
+}
+
+// Statistics that show whether the quantization error has become independent
+// of the signal: { spectrum (error amplitude spectrum up to fs/2), minDb,
+// maxDb, histogram [{ x, y }] (fraction of samples per bin, x the left bin
+// edge, closed by a point at the right edge), mean, deviation, correlation }
+// with correlation the Pearson coefficient between the samples and the error.
+export function buildErrorAnalysis(data, windowType) {
+  const { errorData, sampledData, samplingRate } = data;
+  const count = errorData.length;
+  if (count === 0) return null;
+  const errors = errorData.map((point) => point.y);
+  const signal = sampledData.map((point) => point.y);
+
+  const spectrum = amplitudeSpectrum(
+    errors,
+    samplingRate,
+    windowType,
+    samplingRate / 2,
+    true
+  );
+  const maxDb =
+    spectrum.reduce((max, point) => Math.max(max, point.y), SPECTRUM_FLOOR_DB) +
+    10;
+
+  const mean = errors.reduce((sum, e) => sum + e, 0) / count;
+  const signalMean = signal.reduce((sum, x) => sum + x, 0) / count;
+  let errorVariance = 0;
+  let signalVariance = 0;
+  let covariance = 0;
+  errors.forEach((e, i) => {
+    errorVariance += (e - mean) ** 2;
+    signalVariance += (signal[i] - signalMean) ** 2;
+    covariance += (e - mean) * (signal[i] - signalMean);
+  });
+  const correlation =
+    errorVariance > 1e-24 && signalVariance > 1e-24
+      ? covariance / Math.sqrt(errorVariance * signalVariance)
+      : 0;
+
+  // Symmetric bins about zero so a bias shows as a lopsided histogram
+  const limit =
+    errors.reduce((max, e) => Math.max(max, Math.abs(e)), 0) ||
+    data.lsb / 2 ||
+    1;
+  const binWidth = (2 * limit) / ERROR_HISTOGRAM_BINS;
+  const counts = new Array(ERROR_HISTOGRAM_BINS).fill(0);
+  errors.forEach((e) => {
+    const bin = Math.min(
+      ERROR_HISTOGRAM_BINS - 1,
+      Math.floor((e + limit) / binWidth)
+    );
+    counts[bin]++;
+  });
+  const histogram = counts.map((binCount, i) => ({
+    x: -limit + i * binWidth,
+    y: binCount / count,
+  }));
+  histogram.push({ x: limit, y: histogram[histogram.length - 1].y });
+
+  return {
+    spectrum,
+    minDb: maxDb - SPECTRUM_RANGE_DB,
+    maxDb,
+    histogram,
+    mean,
+    deviation: Math.sqrt(errorVariance / count),
+    correlation,
+  };
+}
+
+// --- Reconstruction ---
+// Points of the ZOH staircase through `samples`: each level is held until
+// the next sample, and the last one until endTime or one interval later,
+// whichever is earlier
+export function buildZohStaircase(
+  samples,
+  startTime,
+  endTime,
+  samplingInterval
+) {
+  const points = [];
+  // Held value for the staircase; the first sample holds its own value
+  let lastValue = null;
+  samples.forEach(({ x: sampleTime, y: value }, i) => {
+    if (i > 0) {
+      // Riser: the previous level held up to this sample
+      points.push({ x: sampleTime, y: lastValue });
+    }
+    points.push({ x: sampleTime, y: value });
+    lastValue = value;
+  });
+
+  // Add final point for reconstruction visualization
+  if (samples.length > 0) {
+    const lastSampleTime = samples[samples.length - 1].x;
+    const finalTime = Math.min(endTime, lastSampleTime + samplingInterval);
+    // Only add if it's meaningfully different from the last point's time
+    if (finalTime > lastSampleTime + 1e-9) {
+      points.push({ x: finalTime, y: lastValue });
+    }
+  }
+  return points;
+}
+
+// Evaluates the reconstructed signal from the quantized samples at the given
+// (ascending, evenly spaced) times. `settings.method` is one of:
+//   "zoh"     - hold each level until the next sample
+//   "foh"     - straight lines between samples (first-order hold)
+//   "sinc"    - Whittaker–Shannon interpolation, truncated to `sincTaps`
+//               samples each side and tapered by `sincWindow`
+//   "lowpass" - ZOH followed by a Butterworth low-pass (`cutoff` Hz, `order`);
+//               the hold's T/2 delay is compensated and the filter is run
+//               forward and backward, so the result lines up with the analog trace
+export function reconstructSignal(samples, times, settings) {
+  const values = new Float64Array(times.length);
+  if (samples.length === 0) return values;
+  const t0 = samples[0].x;
+  const interval = samples.length > 1 ? samples[1].x - t0 : 1;
+  const lastIndex = samples.length - 1;
+  // Index of the latest sample at or before t (clamped to the sample range)
+  const holdIndex = (t) =>
+    Math.max(0, Math.min(lastIndex, Math.floor((t - t0) / interval + 1e-9)));
+
+  switch (settings.method) {
+    case "foh":
+      times.forEach((t, i) => {
+        const n = holdIndex(t);
+        if (n === lastIndex) {
+          values[i] = samples[n].y;
+          return;
+        }
+        const fraction = Math.max(0, (t - samples[n].x) / interval);
+        values[i] = samples[n].y + (samples[n + 1].y - samples[n].y) * fraction;
+      });
+      return values;
+    case "sinc": {
+      const taps = settings.sincTaps;
+      const window =
+        SINC_WINDOWS[settings.sincWindow] || SINC_WINDOWS.rectangular;
+      times.forEach((t, i) => {
+        const position = (t - t0) / interval;
+        const first = Math.max(0, Math.ceil(position - taps));
+        const last = Math.min(lastIndex, Math.floor(position + taps));
+        let sum = 0;
+        for (let n = first; n <= last; n++) {
+          const offset = position - n; // In sample periods
+          sum += samples[n].y * sinc(offset) * window(offset / taps);
+        }
+        values[i] = sum;
+      });
+      return values;
+    }
+    case "lowpass": {
+      // Centre the hold on each sample to remove its half-sample delay
+      times.forEach(
+        (t, i) => (values[i] = samples[holdIndex(t + interval / 2)].y)
+      );
+      if (times.length < 2) return values;
+      const gridRate = 1 / (times[1] - times[0]);
+      // Keep the cutoff below the grid's Nyquist frequency
+      const cutoff = Math.min(settings.cutoff, gridRate * 0.45);
+      const sections = designLowpass(
+        butterworthPoles(settings.order),
+        cutoff,
+        gridRate
+      );
+      return filterZeroPhase(sections, values);
+    }
+    default:
+      times.forEach((t, i) => (values[i] = samples[holdIndex(t)].y));
+      return values;
+  }
+}
+
+export function sinc(x) {
+  if (Math.abs(x) < 1e-12) return 1;
+  return Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+// Tapers for the truncated sinc kernel, defined on u in -1..1 (zero outside)
+const SINC_WINDOWS = {
+  rectangular: (u) => (Math.abs(u) < 1 ? 1 : 0),
+  hann: (u) => (Math.abs(u) < 1 ? 0.5 + 0.5 * Math.cos(Math.PI * u) : 0),
+  hamming: (u) => (Math.abs(u) < 1 ? 0.54 + 0.46 * Math.cos(Math.PI * u) : 0),
+  blackman: (u) =>
+    Math.abs(u) < 1
+      ? 0.42 + 0.5 * Math.cos(Math.PI * u) + 0.08 * Math.cos(2 * Math.PI * u)
+      : 0,
+  lanczos: (u) => (Math.abs(u) < 1 ? sinc(u) : 0),
+};
+
+// --- Filters ---
+// Poles of an order-N Butterworth prototype (cutoff 1 rad/s), upper half
+// plane only: conjugate pairs as { re, im } and the real pole with im = 0
+function butterworthPoles(order) {
+  const poles = [];
+  for (let k = 0; k < Math.floor(order / 2); k++) {
+    const angle = (Math.PI * (2 * k + 1)) / (2 * order);
+    poles.push({ re: -Math.sin(angle), im: Math.cos(angle) });
+  }
+  if (order % 2 === 1) poles.push({ re: -1, im: 0 });
+  return poles;
+}
+
+// Poles of an order-N Chebyshev type I prototype with `rippleDb` of passband
+// ripple (passband edge 1 rad/s), in the same form as butterworthPoles
+function chebyshevPoles(order, rippleDb) {
+  const epsilon = Math.sqrt(10 ** (rippleDb / 10) - 1);
+  const mu = Math.asinh(1 / epsilon) / order;
+  const poles = [];
+  for (let k = 0; k < Math.floor(order / 2); k++) {
+    const angle = (Math.PI * (2 * k + 1)) / (2 * order);
+    poles.push({
+      re: -Math.sinh(mu) * Math.sin(angle),
+      im: Math.cosh(mu) * Math.cos(angle),
+    });
+  }
+  if (order % 2 === 1) poles.push({ re: -Math.sinh(mu), im: 0 });
+  return poles;
+}
+
+// Anti-aliasing low-pass for generatePCMData. `settings` is { type, cutoff,
+// order, ripple } with type "butterworth" (cutoff at -3 dB) or "chebyshev"
+// (cutoff at the passband edge, `ripple` dB; unity gain at DC, so the ripple
+// lies above 0 dB for even orders). The cutoff is kept below the grid's
+// Nyquist frequency.
+function designPrefilter(settings, sampleRate) {
+  const poles =
+    settings.type === "chebyshev"
+      ? chebyshevPoles(settings.order, settings.ripple)
+      : butterworthPoles(settings.order);
+  return designLowpass(
+    poles,
+    Math.min(settings.cutoff, sampleRate * 0.45),
+    sampleRate
+  );
+}
+
+// Magnitude response in dB of a biquad cascade from 0 to maxFrequency,
+// as PREFILTER_RESPONSE_POINTS [{ x: Hz, y: dB }] points
+function filterMagnitudeResponse(sections, sampleRate, maxFrequency) {
+  const points = [];
+  for (let i = 0; i < PREFILTER_RESPONSE_POINTS; i++) {
+    const frequency = (maxFrequency * i) / (PREFILTER_RESPONSE_POINTS - 1);
+    const { magnitude } = filterResponse(sections, frequency, sampleRate);
+    points.push({
+      x: frequency,
+      y: Math.max(PREFILTER_FLOOR_DB, 20 * Math.log10(magnitude)),
+    });
+  }
+  return points;
+}
+
+// Gain and phase shift (radians) of a biquad cascade at `frequency`
+function filterResponse(sections, frequency, sampleRate) {
+  const w = (2 * Math.PI * frequency) / sampleRate;
+  // Each section's polynomial evaluated at z = e^{jw}
+  const evaluate = ([c0, c1, c2]) => ({
+    re: c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w),
+    im: -c1 * Math.sin(w) - c2 * Math.sin(2 * w),
+  });
+  return sections.reduce(
+    (response, { b, a }) => {
+      const numerator = evaluate(b);
+      const denominator = evaluate([1, a[0], a[1]]);
+      return {
+        magnitude:
+          (response.magnitude * Math.hypot(numerator.re, numerator.im)) /
+          Math.hypot(denominator.re, denominator.im),
+        phase:
+          response.phase +
+          Math.atan2(numerator.im, numerator.re) -
+          Math.atan2(denominator.im, denominator.re),
+      };
+    },
+    { magnitude: 1, phase: 0 }
+  );
+}
+
+// Turns prototype poles into digital biquad sections (bilinear transform with
+// prewarping, one section per pole pair, unity DC gain each). Sections are
+// { b: [b0, b1, b2], a: [a1, a2] } with a0 normalized to 1.
+function designLowpass(poles, cutoff, sampleRate) {
+  return poles.map((pole) => {
+    const magnitude = Math.hypot(pole.re, pole.im);
+    const w0 = (2 * Math.PI * cutoff * magnitude) / sampleRate;
+    if (pole.im === 0) {
+      // First-order section for the real pole
+      const k = Math.tan(w0 / 2);
+      return { b: [k / (1 + k), k / (1 + k), 0], a: [(k - 1) / (k + 1), 0] };
+    }
+    const q = magnitude / (-2 * pole.re);
+    const alpha = Math.sin(w0) / (2 * q);
+    const cosW0 = Math.cos(w0);
+    const a0 = 1 + alpha;
+    return {
+      b: [(1 - cosW0) / 2 / a0, (1 - cosW0) / a0, (1 - cosW0) / 2 / a0],
+      a: [(-2 * cosW0) / a0, (1 - alpha) / a0],
+    };
+  });
+}
+
+// Runs the biquad cascade over values (transposed direct form II). Each
+// section starts in the steady state for the first value to avoid a
+// start-up transient.
+function applyFilter(sections, values) {
+  let output = Float64Array.from(values);
+  sections.forEach(({ b, a }) => {
+    const input = output;
+    output = new Float64Array(input.length);
+    const dcGain = (b[0] + b[1] + b[2]) / (1 + a[0] + a[1]);
+    const y0 = (input[0] || 0) * dcGain;
+    let z2 = b[2] * (input[0] || 0) - a[1] * y0;
+    let z1 = b[1] * (input[0] || 0) - a[0] * y0 + z2;
+    for (let i = 0; i < input.length; i++) {
+      const x = input[i];
+      const y = b[0] * x + z1;
+      z1 = b[1] * x - a[0] * y + z2;
+      z2 = b[2] * x - a[1] * y;
+      output[i] = y;
+    }
+  });
+  return output;
+}
+
+// Forward-backward filtering: zero phase, squared magnitude response. Both
+// ends are extended by odd reflection (the signal continued through its end
+// point) so edge transients fall in the padding and are discarded.
+function filterZeroPhase(sections, values) {
+  const n = values.length;
+  if (n < 2) return Float64Array.from(values);
+  const pad = n - 1;
+  const padded = new Float64Array(n + 2 * pad);
+  for (let i = 0; i < pad; i++) {
+    padded[i] = 2 * values[0] - values[pad - i];
+    padded[pad + n + i] = 2 * values[n - 1] - values[n - 2 - i];
+  }
+  padded.set(values, pad);
+  const forward = applyFilter(sections, padded);
+  const result = applyFilter(sections, forward.reverse()).reverse();
+  return result.slice(pad, pad + n);
+}
+
+// --- Expression Parser ---
+// Sandboxed recursive-descent parser for custom x(t) expressions. Only the
+// whitelisted constants and functions below are reachable; nothing is eval'd.
+const EXPRESSION_CONSTANTS = { pi: Math.PI, tau: 2 * Math.PI, e: Math.E };
+const EXPRESSION_FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  atan2: Math.atan2,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  exp: Math.exp,
+  log: Math.log, // Natural log
+  ln: Math.log,
+  log10: Math.log10,
+  log2: Math.log2,
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sign: Math.sign,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+};
+// [min, max] argument counts; functions not listed take exactly one argument
+const EXPRESSION_ARITY = {
+  atan2: [2, 2],
+  pow: [2, 2],
+  min: [1, Infinity],
+  max: [1, Infinity],
+};
+
+function tokenizeExpression(source) {
+  const tokens = [];
+  const pattern =
+    /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|([-+*/%^(),]))/y;
+  let position = 0;
+  while (position < source.length) {
+    if (/^\s*$/.test(source.slice(position))) break; // Trailing whitespace
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      const offset = source.slice(position).search(/\S/) + position;
+      throw new Error(
+        `Unexpected character '${source[offset]}' at position ${offset + 1}.`
+      );
+    }
+    const start = pattern.lastIndex - match[0].trimStart().length;
+    if (match[1] !== undefined) {
+      tokens.push({ type: "number", value: parseFloat(match[1]), start });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: "name", value: match[2], start });
+    } else {
+      tokens.push({ type: "op", value: match[3], start });
+    }
+    position = pattern.lastIndex;
+  }
+  tokens.push({ type: "end", value: null, start: source.length });
+  return tokens;
+}
+
+// Compiles the source into a function of t; throws an Error describing the
+// first problem (with its 1-based position) if the source is invalid
+export function compileExpression(source) {
+  if (!source || !source.trim()) throw new Error("Expression is empty.");
+  const tokens = tokenizeExpression(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) =>
+    token.type === "end"
+      ? "end of expression"
+      : `'${token.value}' at position ${token.start + 1}`;
+  const isOp = (token, ops) => token.type === "op" && ops.includes(token.value);
+  const accept = (value) => {
+    if (isOp(peek(), [value])) {
+      index++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!accept(value)) {
+      throw new Error(`Expected '${value}' but found ${describe(peek())}.`);
+    }
+  };
+
+  // expression := term (("+" | "-") term)*
+  function parseExpression() {
+    let node = parseTerm();
+    while (isOp(peek(), ["+", "-"])) {
+      const op = tokens[index++].value;
+      const left = node;
+      const right = parseTerm();
+      node = op === "+" ? (t) => left(t) + right(t) : (t) => left(t) - right(t);
+    }
+    return node;
+  }
+
+  // term := unary (("*" | "/" | "%") unary)*
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp(peek(), ["*", "/", "%"])) {
+      const op = tokens[index++].value;
+      const left = node;
+      const right = parseUnary();
+      if (op === "*") node = (t) => left(t) * right(t);
+      else if (op === "/") node = (t) => left(t) / right(t);
+      else node = (t) => left(t) % right(t);
+    }
+    return node;
+  }
+
+  // unary := ("+" | "-") unary | power   (so -2^2 = -4)
+  function parseUnary() {
+    if (accept("-")) {
+      const operand = parseUnary();
+      return (t) => -operand(t);
+    }
+    if (accept("+")) return parseUnary();
+    return parsePower();
+  }
+
+  // power := primary ("^" unary)?   (right-associative)
+  function parsePower() {
+    const base = parsePrimary();
+    if (accept("^")) {
+      const exponent = parseUnary();
+      return (t) => Math.pow(base(t), exponent(t));
+    }
+    return base;
+  }
+
+  // primary := number | "t" | constant | function "(" args ")" | "(" expression ")"
+  function parsePrimary() {
+    const token = peek();
+    if (token.type === "number") {
+      index++;
+      return () => token.value;
+    }
+    if (token.type === "name") {
+      index++;
+      const name = token.value;
+      if (accept("(")) return parseCall(token);
+      if (name === "t") return (t) => t;
+      if (Object.prototype.hasOwnProperty.call(EXPRESSION_CONSTANTS, name)) {
+        const value = EXPRESSION_CONSTANTS[name];
+        return () => value;
+      }
+      throw new Error(
+        `Unknown variable '${name}' at position ${token.start + 1}.`
+      );
+    }
+    if (accept("(")) {
+      const inner = parseExpression();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`Unexpected ${describe(token)}.`);
+  }
+
+  // Called with the opening "(" already consumed
+  function parseCall(token) {
+    const name = token.value;
+    if (!Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, name)) {
+      throw new Error(
+        `Unknown function '${name}' at position ${token.start + 1}.`
+      );
+    }
+    const args = [];
+    if (!accept(")")) {
+      do {
+        args.push(parseExpression());
+      } while (accept(","));
+      expect(")");
+    }
+    const [minArgs, maxArgs] = EXPRESSION_ARITY[name] || [1, 1];
+    if (args.length < minArgs || args.length > maxArgs) {
+      const expected =
+        minArgs === maxArgs ? `${minArgs}` : `at least ${minArgs}`;
+      throw new Error(
+        `Function '${name}' takes ${expected} argument(s), got ${args.length}.`
+      );
+    }
+    const fn = EXPRESSION_FUNCTIONS[name];
+    return (t) => fn(...args.map((arg) => arg(t)));
+  }
+
+  const compiled = parseExpression();
+  if (peek().type !== "end") {
+    throw new Error(`Unexpected ${describe(peek())}.`);
+  }
+  return compiled;
+}
@@ -1,31 +1,269 @@
+import {
+  LINE_CODE_MAX_BITS,
+  PREFILTER_FLOOR_DB,
+  SPECTRUM_FLOOR_DB,
+  SPECTRUM_IMAGE_SPAN,
+  SPECTRUM_TRACE_LABELS,
+  TDM_CAPACITY,
+  TDM_LAYOUT_LABELS,
+  TDM_NOMINAL_RATES,
+  TDM_SLOT_BITS,
+  buildErrorAnalysis,
+  buildModulatorSpectrum,
+  buildSpectra,
+  buildTdm,
+  calculateSNR,
+  compileExpression,
+  computeQualityMetrics,
+  countBitFlips,
+  decodeBitstream,
+  formatLevelCode,
+  generatePCMData,
+  getHighestSignificantHarmonic,
+  parseBitstream,
+  reconstructSignal,
+} from "./pcm-engine.mjs";
+
 // --- Chart Instances ---
 let analogSampledChartInstance = null;
 let quantizedChartInstance = null;
 let reconstructedChartInstance = null;
 let errorChartInstance = null;
+let transferChartInstance = null;
+let predictionChartInstance = null;
+let residualChartInstance = null;
+let staircaseChartInstance = null;
+let lineCodeChartInstance = null;
+let lineCodePsdChartInstance = null;
+let spectrumChartInstance = null;
+let errorSpectrumChartInstance = null;
+let errorHistogramChartInstance = null;
+let prefilterChartInstance = null;
+let aliasingChartInstance = null;
+let sdmOutputChartInstance = null;
+let sdmSpectrumChartInstance = null;
+let tdmChartInstance = null;
 
 // --- DOM Elements ---
 const pcmForm = document.getElementById("pcm-form");
+const appModeSelect = document.getElementById("appMode");
+const bitstreamInput = document.getElementById("bitstreamInput");
+const bitstreamFileInput = document.getElementById("bitstreamFile");
+const decodeWordLengthInput = document.getElementById("decodeWordLength");
+const decodeCodeFormatSelect = document.getElementById("decodeCodeFormat");
+const decodeLevelsInput = document.getElementById("decodeLevels");
+const decodeSamplingRateInput = document.getElementById("decodeSamplingRate");
+const decodeFullScaleInput = document.getElementById("decodeFullScale");
+const decodeLevelPlacementSelect = document.getElementById(
+  "decodeLevelPlacement"
+);
+const waveformSelect = document.getElementById("waveform");
 const frequencyInput = document.getElementById("frequency");
 const amplitudeInput = document.getElementById("amplitude");
 const phaseInput = document.getElementById("phase"); // New: Phase input
+const harmonicCountInput = document.getElementById("harmonicCount");
+const decayRateInput = document.getElementById("decayRate");
+const dcOffsetInput = document.getElementById("dcOffset");
+const toneList = document.getElementById("tone-list");
+const addToneButton = document.getElementById("addToneButton");
+const toneRowTemplate = document.getElementById("tone-row-template");
+const signalExpressionInput = document.getElementById("signalExpression");
+const wavFileInput = document.getElementById("wavFile");
+const wavDropZone = document.getElementById("wavDropZone");
+const wavInfoElement = document.getElementById("wavInfo");
+const wavChannelSelect = document.getElementById("wavChannel");
 const startTimeInput = document.getElementById("startTime"); // New: Start Time
 const endTimeInput = document.getElementById("endTime"); // New: End Time
 const samplingRateInput = document.getElementById("samplingRate");
+const jitterTypeSelect = document.getElementById("jitterType");
+const jitterRmsInput = document.getElementById("jitterRms");
+const jitterFrequencyInput = document.getElementById("jitterFrequency");
+const samplingOffsetInput = document.getElementById("samplingOffset");
+const jitterSeedInput = document.getElementById("jitterSeed");
+const prefilterTypeSelect = document.getElementById("prefilterType");
+const prefilterCutoffInput = document.getElementById("prefilterCutoff");
+const prefilterOrderInput = document.getElementById("prefilterOrder");
+const prefilterRippleInput = document.getElementById("prefilterRipple");
 const quantizationLevelsInput = document.getElementById("quantizationLevels");
+const quantizerTypeSelect = document.getElementById("quantizerType");
+const muValueInput = document.getElementById("muValue");
+const aLawValueInput = document.getElementById("aLawValue");
+const levelPlacementSelect = document.getElementById("levelPlacement");
+const rangeModeSelect = document.getElementById("rangeMode");
+const fullScaleInput = document.getElementById("fullScale");
+const ditherTypeSelect = document.getElementById("ditherType");
+const ditherAmplitudeInput = document.getElementById("ditherAmplitude");
+const noiseShapingSelect = document.getElementById("noiseShaping");
+const ditherSeedInput = document.getElementById("ditherSeed");
+const reconstructionMethodSelect = document.getElementById(
+  "reconstructionMethod"
+);
+const sincTapsInput = document.getElementById("sincTaps");
+const sincWindowSelect = document.getElementById("sincWindow");
+const reconstructionCutoffInput = document.getElementById(
+  "reconstructionCutoff"
+);
+const reconstructionOrderInput = document.getElementById("reconstructionOrder");
+const encodingModeSelect = document.getElementById("encodingMode");
+const predictorOrderInput = document.getElementById("predictorOrder");
+const predictorCoefficientsInput = document.getElementById(
+  "predictorCoefficients"
+);
+const residualBitsInput = document.getElementById("residualBits");
+const dmStepSizeInput = document.getElementById("dmStepSize");
+const codeFormatSelect = document.getElementById("codeFormat");
+const lineCodeSelect = document.getElementById("lineCode");
+const lineBitRateInput = document.getElementById("lineBitRate");
+const spectrumWindowSelect = document.getElementById("spectrumWindow");
+const spectrumPeaksSelect = document.getElementById("spectrumPeaks");
+const channelTypeSelect = document.getElementById("channelType");
+const bitErrorProbabilityInput = document.getElementById("bitErrorProbability");
+const channelSnrInput = document.getElementById("channelSnr");
+const channelSeedInput = document.getElementById("channelSeed");
+const admStepGrowthInput = document.getElementById("admStepGrowth");
+const sdmOrderSelect = document.getElementById("sdmOrder");
+const tdmLayoutSelect = document.getElementById("tdmLayout");
+const tdmChannelsInput = document.getElementById("tdmChannels");
+const tdmSyncWordInput = document.getElementById("tdmSyncWord");
+const oversamplingRatioInput = document.getElementById("oversamplingRatio");
+const modulatorBitsInput = document.getElementById("modulatorBits");
 const pcmOutputElement = document.getElementById("pcm-output");
 const errorMessageElement = document.getElementById("error-message");
 const snrDisplayElement = document.getElementById("snr-display");
+const clipDisplayElement = document.getElementById("clip-display");
+const bitRateDisplayElement = document.getElementById("bitrate-display");
+const dmDisplayElement = document.getElementById("dm-display");
+const aliasDisplayElement = document.getElementById("alias-display");
+const jitterDisplayElement = document.getElementById("jitter-display");
+const channelDisplayElement = document.getElementById("channel-display");
+const tdmDisplayElement = document.getElementById("tdm-display");
+const tdmFrameMapElement = document.getElementById("tdm-frame-map");
+const tdmFrameBitsElement = document.getElementById("tdm-frame-bits");
+const qualityMetricsElement = document.getElementById("quality-metrics");
+const metricsNotesElement = document.getElementById("metrics-notes");
+const reconstructionErrorElement = document.getElementById(
+  "reconstruction-error-display"
+);
 const pcmTableBody = document.querySelector("#pcm-data-table tbody");
+const codeHeaderElement = document.getElementById("code-header");
+const quantizedHeaderElement = document.getElementById("quantized-header");
+const bitFlipSummaryElement = document.getElementById("bit-flip-summary");
+const exportQuantizedWavButton = document.getElementById("exportQuantizedWav");
+const exportReconstructedWavButton = document.getElementById(
+  "exportReconstructedWav"
+);
+const exportCsvButton = document.getElementById("exportCsv");
+const exportJsonButton = document.getElementById("exportJson");
+const exportBitstreamButton = document.getElementById("exportBitstream");
+const exportReportButton = document.getElementById("exportReport");
+const exportChartSelect = document.getElementById("exportChart");
+const exportChartPngButton = document.getElementById("exportChartPng");
+const exportChartSvgButton = document.getElementById("exportChartSvg");
+const metricsElement = document.querySelector(".metrics");
+const pcmTableElement = document.getElementById("pcm-data-table");
 const themeToggle = document.getElementById("themeToggle");
 const themeIcon = document.getElementById("theme-icon"); // Theme icon span
+const presetControls = document.getElementById("preset-controls");
+const presetSelect = document.getElementById("presetSelect");
+const builtInPresetGroup = document.getElementById("builtInPresetGroup");
+const savedPresetGroup = document.getElementById("savedPresetGroup");
+const presetNameInput = document.getElementById("presetName");
+const savePresetButton = document.getElementById("savePresetButton");
+const deletePresetButton = document.getElementById("deletePresetButton");
+const copyLinkButton = document.getElementById("copyLinkButton");
+const exportPresetsButton = document.getElementById("exportPresetsButton");
+const importPresetsButton = document.getElementById("importPresetsButton");
+const presetFileInput = document.getElementById("presetFile");
+const presetStatusElement = document.getElementById("presetStatus");
 
 // --- Constants ---
 const MAX_DURATION = 20; // Max time range allowed in seconds
 const DEBOUNCE_DELAY = 400; // Milliseconds for debouncing input
+const MAX_HARMONICS = 50; // Upper bound for the sum-of-harmonics waveform
+const MAX_TONES = 8; // Max components in the multi-tone composite
+const RECONSTRUCTED_WAV_RATE = 44100; // Render rate for the ZOH export
+const RECONSTRUCTED_WAV_BITS = 16;
+const QUANTIZED_WAV_RENDER_BITS = 16; // Quantized values off a uniform code grid
+const MAX_SINC_TAPS = 200; // Max samples on each side of a sinc kernel
+const MAX_FILTER_ORDER = 10;
+const ALIAS_LIST_LIMIT = 4; // Aliased components named in the summary line
+const MAX_PREDICTOR_ORDER = 8;
+const MAX_RESIDUAL_BITS = 8;
+// Default DPCM predictors: extrapolation with polynomials of degree order - 1
+const DEFAULT_PREDICTORS = { 1: [1], 2: [2, -1], 3: [3, -3, 1] };
+const SDM_MAX_OSR = 256;
+const SDM_MAX_BITS = 4; // Modulator quantizer bits
+const SDM_MAX_SYMBOLS = 2000000; // Cap on modulator outputs per run
+const SDM_PLOT_MAX_SYMBOLS = 20000; // Larger streams plot their density only
+const TDM_MAX_CHANNELS = 32; // Custom frames
+const TDM_CHANNEL_WAVEFORMS = ["sine", "square", "triangle", "sawtooth"];
+const DECODE_MAX_WORD_LENGTH = 24; // Keeps code words within 32-bit bitwise ops
+const RECONSTRUCTION_LABELS = {
+  zoh: "ZOH",
+  foh: "FOH",
+  sinc: "Sinc",
+  lowpass: "ZOH + Low-pass",
+};
+const PREFILTER_LABELS = {
+  butterworth: "Butterworth",
+  chebyshev: "Chebyshev I",
+};
+const DITHER_LABELS = {
+  none: "No dither",
+  rectangular: "Rectangular dither",
+  tpdf: "TPDF dither",
+  gaussian: "Gaussian dither",
+};
+const CODE_FORMAT_LABELS = {
+  offset: "Offset Binary",
+  twos: "Two's Complement",
+  sign: "Sign-Magnitude",
+  gray: "Gray",
+  folded: "Folded Binary",
+};
+const LINE_CODE_LABELS = {
+  nrzl: "NRZ-L",
+  nrzi: "NRZ-I",
+  unipolarRz: "Unipolar RZ",
+  polarRz: "Polar RZ",
+  manchester: "Manchester",
+  diffManchester: "Differential Manchester",
+  ami: "AMI",
+};
+const DEFAULT_TONES = [
+  { frequency: 1, amplitude: 3, phase: 0 },
+  { frequency: 7, amplitude: 1, phase: 0 },
+];
+const PRESET_STORAGE_KEY = "pcmPresets";
+const PERMALINK_MAX_BITSTREAM = 4096; // Longer pasted bitstreams stay out of the URL
+// Built-in presets only list what differs from the page defaults
+const BUILT_IN_PRESETS = [
+  {
+    name: "Telephone 8 kHz / 8-bit",
+    state: {
+      frequency: "1000",
+      samplingRate: "8000",
+      quantizationLevels: "256",
+      quantizerType: "g711mu",
+      startTime: "0",
+      endTime: "0.005",
+    },
+  },
+  {
+    name: "Nyquist violation",
+    state: { frequency: "15", samplingRate: "20" },
+  },
+  {
+    name: "1-bit quantizer",
+    state: { quantizationLevels: "2" },
+  },
+];
 
 // --- Global State ---
 let currentChartData = {}; // Store latest data for theme/option updates
+let importedAudio = null; // Decoded WAV file used by the "wav" waveform
+let wavImportError = ""; // Last decode failure, surfaced by validateInputs
+let bitstreamFileError = ""; // Last bitstream file read failure
 
 // --- Debounce Function ---
 function debounce(func, delay) {
@@ -41,7 +279,45 @@ function debounce(func, delay) {
 // --- Event Listeners ---
 // Listen to 'input' on the form for real-time updates
 pcmForm.addEventListener("input", debounce(handleInputChange, DEBOUNCE_DELAY));
+pcmForm.addEventListener("input", updateConditionalFields); // Show/hide mode inputs immediately
 themeToggle.addEventListener("change", handleThemeToggle);
+predictorOrderInput.addEventListener("change", handlePredictorOrderChange);
+addToneButton.addEventListener("click", handleAddTone);
+toneList.addEventListener("click", handleRemoveTone); // Delegated remove buttons
+wavFileInput.addEventListener("change", () =>
+  loadWavFile(wavFileInput.files[0])
+);
+wavDropZone.addEventListener("dragover", (event) => {
+  event.preventDefault(); // Required to allow dropping
+  wavDropZone.classList.add("drag-over");
+});
+wavDropZone.addEventListener("dragleave", () =>
+  wavDropZone.classList.remove("drag-over")
+);
+wavDropZone.addEventListener("drop", handleWavDrop);
+bitstreamFileInput.addEventListener("change", () =>
+  loadBitstreamFile(bitstreamFileInput.files[0])
+);
+exportQuantizedWavButton.addEventListener("click", exportQuantizedWav);
+exportReconstructedWavButton.addEventListener("click", exportReconstructedWav);
+exportCsvButton.addEventListener("click", exportDataCsv);
+exportJsonButton.addEventListener("click", exportDataJson);
+exportBitstreamButton.addEventListener("click", exportBitstream);
+exportReportButton.addEventListener("click", exportLabReport);
+exportChartSelect.addEventListener("change", updateChartExportButtons);
+exportChartPngButton.addEventListener("click", exportChartPng);
+exportChartSvgButton.addEventListener("click", exportChartSvg);
+presetControls.addEventListener("input", (event) => event.stopPropagation()); // Not a run parameter
+presetSelect.addEventListener("change", handlePresetSelect);
+savePresetButton.addEventListener("click", handleSavePreset);
+deletePresetButton.addEventListener("click", handleDeletePreset);
+copyLinkButton.addEventListener("click", copyPermalink);
+exportPresetsButton.addEventListener("click", exportPresets);
+importPresetsButton.addEventListener("click", () => presetFileInput.click());
+presetFileInput.addEventListener("change", () =>
+  importPresets(presetFileInput.files[0])
+);
+window.addEventListener("hashchange", handleHashChange);
 document.addEventListener("DOMContentLoaded", initializeApp);
 
 // --- Initialization ---
@@ -52,6 +328,9 @@ function initializeApp() {
       ? "dark"
       : "light");
   setTheme(savedTheme);
+  updatePresetOptions();
+  applyFormState(readPermalink() || {}); // Also adds the default tones
+  updateConditionalFields();
   // Initial generation based on default form values
   triggerGeneration();
 }
@@ -77,361 +356,1470 @@ function handleInputChange(event) {
   triggerGeneration();
 }
 
-// --- Core Logic Trigger ---
-function triggerGeneration() {
-  if (validateInputs()) {
-    generateAndDisplay();
-  }
-  // Validation function now displays errors/warnings directly
+// Shows elements marked data-show-when="selectId:value1,value2" only when the
+// referenced select currently holds one of the listed values, and hides
+// elements marked data-hide-when="selectId:value1,value2" in the same way.
+// Several conditions are separated by ";": all must match to show, any one
+// match hides.
+function updateConditionalFields() {
+  const selectMatches = (condition) => {
+    const [selectId, values] = condition.split(":");
+    const select = document.getElementById(selectId.trim());
+    return !!select && values.split(",").includes(select.value);
+  };
+  document.querySelectorAll("[data-show-when]").forEach((element) => {
+    element.hidden = !element.dataset.showWhen.split(";").every(selectMatches);
+  });
+  document.querySelectorAll("[data-hide-when]").forEach((element) => {
+    element.hidden = element.dataset.hideWhen.split(";").some(selectMatches);
+  });
 }
 
-// --- Input Validation ---
-function validateInputs() {
-  errorMessageElement.textContent = ""; // Clear previous errors
-  let isValid = true;
-  let isWarning = false;
-  const messages = []; // Collect messages
+// Fills in the default coefficients for the new predictor order; the
+// coefficient field stays editable
+function handlePredictorOrderChange() {
+  const order = parseInt(predictorOrderInput.value);
+  const defaults =
+    DEFAULT_PREDICTORS[order] ||
+    (order >= 1 ? [1, ...Array(order - 1).fill(0)] : null);
+  if (!defaults) return;
+  predictorCoefficientsInput.value = defaults.join(", ");
+  triggerGeneration();
+}
 
-  const frequency = parseFloat(frequencyInput.value);
-  const amplitude = parseFloat(amplitudeInput.value);
-  const phase = parseFloat(phaseInput.value); // Get phase
-  const samplingRate = parseFloat(samplingRateInput.value);
-  const quantizationLevels = parseInt(quantizationLevelsInput.value);
-  const startTime = parseFloat(startTimeInput.value); // Get start time
-  const endTime = parseFloat(endTimeInput.value); // Get end time
+// Comma-separated coefficients [a1, a2, ...]; entries that are not numbers
+// become NaN so validation can point at them
+function parsePredictorCoefficients() {
+  return predictorCoefficientsInput.value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== "")
+    .map(Number);
+}
 
-  // Check individual values
-  if (isNaN(frequency) || frequency <= 0) {
-    messages.push("Frequency must be > 0.");
-    isValid = false;
+// Signals for TDM channels 2, 3, ... as comma-separated
+// "[waveform] frequency [amplitude]" entries (e.g. "2, square 3.5 0.5"). The
+// waveform defaults to a sine and the amplitude to null (channel 1's
+// quantizer peak); malformed entries get a NaN frequency so validation can
+// point at them.
+function parseTdmChannels() {
+  return tdmChannelsInput.value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== "")
+    .map((entry) => {
+      const tokens = entry.toLowerCase().split(/\s+/);
+      const waveform = TDM_CHANNEL_WAVEFORMS.includes(tokens[0])
+        ? tokens.shift()
+        : "sine";
+      const [frequency, amplitude = null] = tokens.map(Number);
+      return {
+        waveform,
+        frequency: tokens.length === 1 || tokens.length === 2 ? frequency : NaN,
+        amplitude,
+      };
+    });
+}
+
+// --- Multi-tone Components ---
+function addToneRow({ frequency, amplitude, phase }) {
+  const row = toneRowTemplate.content.firstElementChild.cloneNode(true);
+  row.querySelector(".tone-frequency").value = frequency;
+  row.querySelector(".tone-amplitude").value = amplitude;
+  row.querySelector(".tone-phase").value = phase;
+  toneList.appendChild(row);
+  updateToneButtons();
+}
+
+function handleAddTone() {
+  // New tones start an octave above the current highest component
+  const tones = getToneComponents();
+  const highest = Math.max(...tones.map((tone) => tone.frequency || 0), 0.5);
+  addToneRow({ frequency: highest * 2, amplitude: 1, phase: 0 });
+  triggerGeneration();
+}
+
+function handleRemoveTone(event) {
+  const button = event.target.closest(".remove-tone-button");
+  if (!button) return;
+  button.closest(".tone-row").remove();
+  updateToneButtons();
+  triggerGeneration();
+}
+
+// Keep at least one component and at most MAX_TONES
+function updateToneButtons() {
+  const rowCount = toneList.children.length;
+  addToneButton.disabled = rowCount >= MAX_TONES;
+  toneList.querySelectorAll(".remove-tone-button").forEach((button) => {
+    button.disabled = rowCount <= 1;
+  });
+}
+
+function getToneComponents() {
+  return Array.from(toneList.querySelectorAll(".tone-row")).map((row) => ({
+    frequency: parseFloat(row.querySelector(".tone-frequency").value),
+    amplitude: parseFloat(row.querySelector(".tone-amplitude").value),
+    phase: parseFloat(row.querySelector(".tone-phase").value),
+  }));
+}
+
+// --- WAV Import ---
+function handleWavDrop(event) {
+  event.preventDefault();
+  wavDropZone.classList.remove("drag-over");
+  const file = event.dataTransfer.files[0];
+  if (file) loadWavFile(file);
+}
+
+async function loadWavFile(file) {
+  if (!file) return;
+  try {
+    importedAudio = {
+      fileName: file.name,
+      ...decodeWav(await file.arrayBuffer()),
+    };
+    wavImportError = "";
+  } catch (error) {
+    importedAudio = null;
+    wavImportError = `${file.name}: ${error.message}`;
   }
-  if (isNaN(amplitude) || amplitude <= 0) {
-    messages.push("Amplitude must be > 0.");
-    isValid = false;
+  updateWavControls();
+  if (importedAudio) {
+    // Open the window at the start of the file
+    startTimeInput.value = 0;
+    endTimeInput.value = +Math.min(
+      importedAudio.duration,
+      MAX_DURATION
+    ).toFixed(4);
   }
-  if (isNaN(phase)) {
-    messages.push("Phase must be a number.");
-    isValid = false;
-  } // Basic check
-  if (isNaN(samplingRate) || samplingRate <= 0) {
-    messages.push("Sampling Rate must be > 0.");
-    isValid = false;
+  triggerGeneration();
+}
+
+function updateWavControls() {
+  wavChannelSelect.innerHTML = '<option value="mix">Mix to mono</option>';
+  if (!importedAudio) {
+    wavInfoElement.textContent = "No file loaded.";
+    return;
   }
+  const { fileName, sampleRate, bitsPerSample, isFloat, channels, duration } =
+    importedAudio;
+  channels.forEach((_, index) => {
+    wavChannelSelect.add(new Option(`Channel ${index + 1}`, index));
+  });
+  wavInfoElement.textContent = `${fileName}: ${sampleRate} Hz, ${bitsPerSample}-bit ${
+    isFloat ? "float" : "PCM"
+  }, ${channels.length} ch, ${duration.toFixed(3)} s`;
+}
+
+// Samples of the selected channel, or the average of all channels
+function getWavSamples() {
+  const { channels } = importedAudio;
+  if (wavChannelSelect.value !== "mix") {
+    return channels[parseInt(wavChannelSelect.value)];
+  }
+  if (channels.length === 1) return channels[0];
+  const mixed = new Float32Array(channels[0].length);
+  channels.forEach((channel) => {
+    for (let i = 0; i < mixed.length; i++) {
+      mixed[i] += channel[i] / channels.length;
+    }
+  });
+  return mixed;
+}
+
+// Parses a RIFF/WAVE file holding integer PCM (8/16/24/32-bit) or IEEE
+// float (32/64-bit) samples into per-channel Float32Arrays scaled to ±1
+function decodeWav(buffer) {
+  const view = new DataView(buffer);
+  const readTag = (offset) =>
+    String.fromCharCode(
+      ...new Uint8Array(buffer, offset, Math.min(4, buffer.byteLength - offset))
+    );
   if (
-    isNaN(quantizationLevels) ||
-    quantizationLevels < 2 ||
-    !Number.isInteger(quantizationLevels)
+    buffer.byteLength < 12 ||
+    readTag(0) !== "RIFF" ||
+    readTag(8) !== "WAVE"
   ) {
-    messages.push("Quantization Levels must be an integer ≥ 2.");
-    isValid = false;
+    throw new Error("Not a RIFF/WAVE file.");
   }
-  if (isNaN(startTime) || startTime < 0) {
-    messages.push("Start Time must be ≥ 0.");
-    isValid = false;
+
+  let format = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+  for (let offset = 12; offset + 8 <= buffer.byteLength; ) {
+    const chunkId = readTag(offset);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (chunkId === "fmt ") {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format code in its sub-format GUID
+      if (format.audioFormat === 0xfffe && chunkSize >= 40) {
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (chunkId === "data") {
+      dataOffset = body;
+      dataLength = Math.min(chunkSize, buffer.byteLength - body); // Tolerate truncated files
+    }
+    offset = body + chunkSize + (chunkSize % 2); // Chunks are word-aligned
   }
-  if (isNaN(endTime) || endTime < 0) {
-    messages.push("End Time must be ≥ 0.");
-    isValid = false;
+
+  if (!format) throw new Error("Missing 'fmt ' chunk.");
+  if (dataOffset < 0) throw new Error("Missing 'data' chunk.");
+  const { audioFormat, channelCount, sampleRate, blockAlign, bitsPerSample } =
+    format;
+  const isFloat = audioFormat === 3;
+  if (audioFormat !== 1 && !isFloat) {
+    throw new Error(
+      `Unsupported format code ${audioFormat} (PCM or float only).`
+    );
+  }
+  if (
+    (!isFloat && ![8, 16, 24, 32].includes(bitsPerSample)) ||
+    (isFloat && ![32, 64].includes(bitsPerSample))
+  ) {
+    throw new Error(`Unsupported bit depth ${bitsPerSample}.`);
+  }
+  const bytesPerSample = bitsPerSample / 8;
+  if (
+    channelCount < 1 ||
+    sampleRate <= 0 ||
+    blockAlign < channelCount * bytesPerSample
+  ) {
+    throw new Error("Corrupt 'fmt ' chunk.");
   }
 
-  // Check time range validity only if individual times are valid numbers
-  if (!isNaN(startTime) && !isNaN(endTime)) {
-    if (endTime <= startTime) {
-      messages.push("End Time must be greater than Start Time.");
-      isValid = false;
-    } else {
-      const duration = endTime - startTime;
-      if (duration > MAX_DURATION) {
-        messages.push(
-          `Time range duration (${duration.toFixed(
-            2
-          )}s) exceeds maximum (${MAX_DURATION}s).`
-        );
-        isValid = false;
-      }
-      // Nyquist check (as warning) if other core values are valid
-      if (
-        !isNaN(frequency) &&
-        !isNaN(samplingRate) &&
-        samplingRate > 0 &&
-        frequency > 0
-      ) {
-        if (samplingRate < 2 * frequency) {
-          messages.push(
-            `Warning: Sampling Rate (${samplingRate} Hz) may be below Nyquist rate (${(
-              2 * frequency
-            ).toFixed(1)} Hz). Aliasing may occur.`
-          );
-          isWarning = true;
-        }
+  const readSample = (offset) => {
+    if (isFloat) {
+      return bitsPerSample === 32
+        ? view.getFloat32(offset, true)
+        : view.getFloat64(offset, true);
+    }
+    switch (bitsPerSample) {
+      case 8:
+        return (view.getUint8(offset) - 128) / 128; // 8-bit WAV is unsigned
+      case 16:
+        return view.getInt16(offset, true) / 32768;
+      case 24: {
+        const value =
+          view.getUint8(offset) |
+          (view.getUint8(offset + 1) << 8) |
+          (view.getUint8(offset + 2) << 16);
+        return ((value << 8) >> 8) / 8388608; // Sign-extend from 24 bits
       }
+      default:
+        return view.getInt32(offset, true) / 2147483648;
     }
-  }
+  };
 
-  // Display messages
-  if (messages.length > 0) {
-    errorMessageElement.textContent = messages.join(" ");
-    // If only warnings, style differently
-    if (isValid && isWarning) {
-      errorMessageElement.style.color = "var(--warning-color)";
-    } else {
-      errorMessageElement.style.color = "var(--error-color)";
+  const frameCount = Math.floor(dataLength / blockAlign);
+  if (frameCount === 0) throw new Error("File contains no samples.");
+  const channels = Array.from(
+    { length: channelCount },
+    () => new Float32Array(frameCount)
+  );
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = dataOffset + frame * blockAlign;
+    for (let ch = 0; ch < channelCount; ch++) {
+      channels[ch][frame] = readSample(frameOffset + ch * bytesPerSample);
     }
   }
 
-  return isValid; // Only return true if there are no fatal errors (warnings are ok)
+  return {
+    sampleRate,
+    bitsPerSample,
+    isFloat,
+    channels,
+    duration: frameCount / sampleRate,
+  };
 }
 
-// --- Data Generation and Processing ---
-function generateAndDisplay() {
-  // Clear potential previous warnings if generation proceeds successfully
-  if (errorMessageElement.style.color === "var(--warning-color)") {
-    errorMessageElement.textContent = "";
+// --- Bitstream Import ---
+// Reads a text file of bits into the bitstream box
+async function loadBitstreamFile(file) {
+  if (!file) return;
+  try {
+    bitstreamInput.value = await file.text();
+    bitstreamFileError = "";
+  } catch (error) {
+    bitstreamFileError = `${file.name}: ${error.message}`;
   }
+  triggerGeneration();
+}
 
-  const frequency = parseFloat(frequencyInput.value);
-  const amplitude = parseFloat(amplitudeInput.value);
-  const phase = parseFloat(phaseInput.value);
-  const samplingRate = parseFloat(samplingRateInput.value);
-  const quantizationLevels = parseInt(quantizationLevelsInput.value);
-  const startTime = parseFloat(startTimeInput.value);
-  const endTime = parseFloat(endTimeInput.value);
-
-  const data = generatePCMData(
-    frequency,
-    amplitude,
-    phase,
-    samplingRate,
-    quantizationLevels,
-    startTime,
-    endTime
+// --- Permalinks and Presets ---
+// Run parameters: every form control outside the preset controls, except
+// file pickers (a loaded WAV file is not part of a link or preset)
+function getStateFields() {
+  return Array.from(pcmForm.elements).filter(
+    (field) =>
+      field.id &&
+      field.matches("input, select, textarea") &&
+      field.type !== "file" &&
+      !presetControls.contains(field)
   );
-  currentChartData = data; // Store latest data *before* updating charts
+}
 
-  updateCharts(); // Update charts using currentChartData
-  displayPcmOutput(data.pcmCodes);
-  displaySNR(data.sampledData, data.quantizedData);
-  populatePcmTable(data);
+function getDefaultValue(field) {
+  if (field.tagName !== "SELECT") return field.defaultValue;
+  const option =
+    Array.from(field.options).find((option) => option.defaultSelected) ||
+    field.options[0];
+  return option ? option.value : "";
 }
 
-function generatePCMData(
-  frequency,
-  amplitude,
-  phaseDegrees,
-  samplingRate,
-  numLevels,
-  startTime,
-  endTime
-) {
-  const analogData = [];
-  const sampledData = [];
-  const quantizedData = [];
-  const reconstructedData = [];
-  const errorData = [];
-  const pcmCodes = [];
-
-  const phaseRad = (phaseDegrees * Math.PI) / 180; // Convert phase to radians
-  const duration = endTime - startTime;
-  if (duration <= 0) return {}; // Should be caught by validation, but safe check
-
-  const samplingInterval = 1 / samplingRate;
-  const signalMin = -amplitude;
-  const signalMax = amplitude;
-  const quantizationStep = (signalMax - signalMin) / numLevels;
-  const numBits = Math.ceil(Math.log2(numLevels));
-
-  // 1. Generate Analog Wave Data
-  const totalAnalogPoints = Math.max(
-    500,
-    Math.ceil(duration * frequency * 200)
-  ); // Aim for ~200 points per cycle
-  const analogTimeStep = duration / (totalAnalogPoints - 1);
-  for (let i = 0; i < totalAnalogPoints; i++) {
-    const t = startTime + i * analogTimeStep;
-    let value = calculateWaveValue(t, frequency, amplitude, phaseRad);
-    analogData.push({ x: t, y: value });
-  }
-  // Ensure last point is exactly at endTime if step doesn't match
-  if (
-    analogData.length > 0 &&
-    analogData[analogData.length - 1].x < endTime - 1e-9
-  ) {
-    let finalValue = calculateWaveValue(
-      endTime,
-      frequency,
-      amplitude,
-      phaseRad
-    );
-    analogData.push({ x: endTime, y: finalValue });
-  }
+// The parameters that differ from the page defaults, as strings keyed by
+// control id, plus `tones` ("frequency:amplitude:phase,...") when the tone
+// list differs from DEFAULT_TONES
+function getFormState() {
+  const state = {};
+  getStateFields().forEach((field) => {
+    if (field.value !== getDefaultValue(field)) state[field.id] = field.value;
+  });
+  const tones = formatTones(getToneComponents());
+  if (tones !== formatTones(DEFAULT_TONES)) state.tones = tones;
+  return state;
+}
 
-  // 2. Sample, Quantize, Encode, etc.
-  const numSamples = Math.floor(duration / samplingInterval) + 1;
-  let lastQuantizedValue = calculateWaveValue(
-    startTime,
-    frequency,
-    amplitude,
-    phaseRad
-  ); // Initialize at start time
-  // Quantize the initial value for ZOH start
-  let initialClamped = Math.max(
-    signalMin,
-    Math.min(signalMax - 1e-9, lastQuantizedValue)
-  );
-  let initialLevelIndex = Math.floor(
-    (initialClamped - signalMin) / quantizationStep
-  );
-  let initialClampedLevelIndex = Math.max(
-    0,
-    Math.min(numLevels - 1, initialLevelIndex)
-  );
-  lastQuantizedValue =
-    signalMin + (initialClampedLevelIndex + 0.5) * quantizationStep;
+// Resets every parameter to its page default and then applies `state` (see
+// getFormState). Unknown ids and select values no option offers are ignored,
+// so older links still load as the controls change.
+function applyFormState(state) {
+  getStateFields().forEach((field) => {
+    const value = Object.hasOwn(state, field.id)
+      ? String(state[field.id])
+      : getDefaultValue(field);
+    const isOffered =
+      field.tagName !== "SELECT" ||
+      Array.from(field.options).some((option) => option.value === value);
+    field.value = isOffered ? value : getDefaultValue(field);
+  });
+  const tones = state.tones ? parseTones(state.tones) : DEFAULT_TONES;
+  toneList.replaceChildren();
+  tones.slice(0, MAX_TONES).forEach(addToneRow);
+}
 
-  for (let i = 0; i < numSamples; i++) {
-    const sampleTime = startTime + i * samplingInterval;
-    // Ensure sampleTime does not significantly exceed endTime
-    if (sampleTime > endTime + 1e-9) break;
+function formatTones(tones) {
+  return tones
+    .map(({ frequency, amplitude, phase }) =>
+      [frequency, amplitude, phase].join(":")
+    )
+    .join(",");
+}
 
-    const sampleValue = calculateWaveValue(
-      sampleTime,
-      frequency,
-      amplitude,
-      phaseRad
-    );
-    sampledData.push({ x: sampleTime, y: sampleValue });
+function parseTones(text) {
+  return String(text)
+    .split(",")
+    .map((tone) => {
+      const [frequency, amplitude = "1", phase = "0"] = tone.split(":");
+      return { frequency, amplitude, phase };
+    });
+}
 
-    // Quantization
-    const clampedValue = Math.max(
-      signalMin,
-      Math.min(signalMax - 1e-9, sampleValue)
-    );
-    const levelIndex = Math.floor(
-      (clampedValue - signalMin) / quantizationStep
-    );
-    const clampedLevelIndex = Math.max(0, Math.min(numLevels - 1, levelIndex));
-    const quantizedValue =
-      signalMin + (clampedLevelIndex + 0.5) * quantizationStep;
-    quantizedData.push({ x: sampleTime, y: quantizedValue });
+// The link lives in the URL hash and is rewritten on every run, so the
+// address bar always reproduces what is on screen
+function updatePermalink() {
+  const params = new URLSearchParams(getFormState());
+  const longBitstreamMessage = `The link leaves out bitstreams over ${PERMALINK_MAX_BITSTREAM} characters; save a preset to keep this one.`;
+  if (params.get("bitstreamInput")?.length > PERMALINK_MAX_BITSTREAM) {
+    params.delete("bitstreamInput");
+    presetStatusElement.textContent = longBitstreamMessage;
+  } else if (presetStatusElement.textContent === longBitstreamMessage) {
+    presetStatusElement.textContent = ""; // The bitstream fits again
+  }
+  const hash = params.toString();
+  history.replaceState(
+    null,
+    "",
+    hash ? `#${hash}` : location.pathname + location.search
+  );
+}
 
-    // PCM Encode
-    const binaryCode = clampedLevelIndex.toString(2).padStart(numBits, "0");
-    pcmCodes.push(binaryCode);
+function readPermalink() {
+  const hash = location.hash.slice(1);
+  return hash ? Object.fromEntries(new URLSearchParams(hash)) : null;
+}
 
-    // Quantization Error
-    const error = sampleValue - quantizedValue;
-    errorData.push({ x: sampleTime, y: error });
+// A link pasted into the address bar of an open page
+function handleHashChange() {
+  applyFormState(readPermalink() || {});
+  updateConditionalFields();
+  triggerGeneration();
+}
 
-    // Reconstructed Data (ZOH)
-    if (i > 0 || startTime === sampleTime) {
-      // Add previous point unless it's literally the very first point at t=startTime
-      reconstructedData.push({ x: sampleTime, y: lastQuantizedValue });
-    }
-    reconstructedData.push({ x: sampleTime, y: quantizedValue });
-    lastQuantizedValue = quantizedValue;
+async function copyPermalink() {
+  updatePermalink();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    presetStatusElement.textContent = "Link copied to the clipboard.";
+  } catch {
+    presetStatusElement.textContent =
+      "Could not copy the link; the address bar holds the same link.";
   }
+}
 
-  // Add final point for reconstruction visualization
-  if (sampledData.length > 0) {
-    const lastSampleTime = sampledData[sampledData.length - 1].x;
-    const nextPotentialSampleTime = lastSampleTime + samplingInterval;
-    // Extend hold to the *earlier* of endTime or the next sample time
-    const finalReconTime = Math.min(endTime, nextPotentialSampleTime);
-    // Only add if it's meaningfully different from the last point's time
-    if (finalReconTime > lastSampleTime + 1e-9) {
-      reconstructedData.push({ x: finalReconTime, y: lastQuantizedValue });
-    }
+// Saved presets are [{ name, state }] in localStorage, state as in getFormState
+function loadSavedPresets() {
+  try {
+    const presets = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY));
+    return Array.isArray(presets) ? presets.filter(isValidPreset) : [];
+  } catch {
+    return []; // Unreadable storage counts as no saved presets
   }
+}
 
-  return {
-    analogData,
-    sampledData,
-    quantizedData,
-    reconstructedData,
-    errorData,
-    pcmCodes,
-    amplitude,
-    samplingInterval,
-    startTime,
-    endTime, // Pass necessary params
-  };
+function isValidPreset(preset) {
+  return (
+    typeof preset?.name === "string" &&
+    preset.name.trim() !== "" &&
+    typeof preset.state === "object" &&
+    preset.state !== null &&
+    !Array.isArray(preset.state) &&
+    Object.values(preset.state).every((value) =>
+      ["string", "number"].includes(typeof value)
+    )
+  );
 }
 
-// Updated wave calculation with phase
-function calculateWaveValue(t, frequency, amplitude, phaseRad) {
-  return amplitude * Math.sin(2 * Math.PI * frequency * t + phaseRad);
+// Adds `preset` or replaces the saved one of the same name; returns its index
+function upsertPreset(presets, preset) {
+  const index = presets.findIndex(({ name }) => name === preset.name);
+  if (index >= 0) {
+    presets[index] = preset;
+    return index;
+  }
+  return presets.push(preset) - 1;
 }
 
-// --- Charting ---
+function updatePresetOptions(selectedValue = "") {
+  const savedPresets = loadSavedPresets();
+  builtInPresetGroup.replaceChildren(
+    ...BUILT_IN_PRESETS.map(({ name }, i) => new Option(name, `builtin:${i}`))
+  );
+  savedPresetGroup.replaceChildren(
+    ...savedPresets.map(({ name }, i) => new Option(name, `saved:${i}`))
+  );
+  savedPresetGroup.hidden = savedPresets.length === 0;
+  presetSelect.value = selectedValue;
+  deletePresetButton.disabled = !selectedValue.startsWith("saved:");
+  exportPresetsButton.disabled = savedPresets.length === 0;
+}
 
-function getChartColors() {
-  const isDarkMode = document.body.getAttribute("data-theme") === "dark";
-  // Use CSS variables for consistency
-  const style = getComputedStyle(document.body);
-  return {
-    analog: "#3b82f6", // Blue
-    sampled: "#ef4444", // Red
-    quantized: "#10b981", // Green
-    reconstructed: "#8b5cf6", // Purple
-    error: "#f59e0b", // Amber/Orange
-    grid: style.getPropertyValue("--grid-color").trim(),
-    text: style.getPropertyValue("--text-color").trim(),
-    tooltipBg: style.getPropertyValue("--tooltip-bg").trim(),
-    tooltipText: style.getPropertyValue("--tooltip-text").trim(),
-  };
+function getSelectedPreset() {
+  const [group, index] = presetSelect.value.split(":");
+  if (group === "builtin") return BUILT_IN_PRESETS[index];
+  if (group === "saved") return loadSavedPresets()[index];
+  return null;
 }
 
-// Takes data object (currentChartData)
-function createChartOptions(yAxisLabel, chartTitle, data) {
-  const colors = getChartColors();
-  const { amplitude, startTime, endTime, errorData } = data;
+function handlePresetSelect() {
+  const preset = getSelectedPreset();
+  const isSaved = presetSelect.value.startsWith("saved:");
+  deletePresetButton.disabled = !isSaved;
+  if (!preset) return;
+  applyFormState(preset.state);
+  presetNameInput.value = isSaved ? preset.name : "";
+  presetStatusElement.textContent = `Loaded "${preset.name}".`;
+  updateConditionalFields();
+  triggerGeneration();
+}
 
-  let minY = -amplitude * 1.1;
-  let maxY = amplitude * 1.1;
-  if (yAxisLabel.toLowerCase().includes("error")) {
-    const maxAbsError =
-      errorData && errorData.length > 0
-        ? Math.max(...errorData.map((p) => Math.abs(p.y)), 0)
-        : amplitude / 2;
-    const buffer = maxAbsError * 0.15 + 1e-6;
-    minY = -maxAbsError - buffer;
-    maxY = maxAbsError + buffer;
+function handleSavePreset() {
+  const name = presetNameInput.value.trim();
+  if (!name) {
+    presetStatusElement.textContent = "Enter a name for the preset first.";
+    return;
+  }
+  const presets = loadSavedPresets();
+  const isUpdate = presets.some((preset) => preset.name === name);
+  const index = upsertPreset(presets, { name, state: getFormState() });
+  try {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    presetStatusElement.textContent = `Could not save "${name}": ${error.message}`;
+    return;
   }
+  updatePresetOptions(`saved:${index}`);
+  presetStatusElement.textContent = `${
+    isUpdate ? "Updated" : "Saved"
+  } "${name}".`;
+}
 
-  return {
-    responsive: true,
-    maintainAspectRatio: false,
-    scales: {
-      x: {
-        type: "linear",
-        position: "bottom",
-        title: { display: true, text: "Time (s)", color: colors.text },
-        min: startTime, // Use user-defined start time
-        max: endTime, // Use user-defined end time
-        ticks: {
-          color: colors.text,
-          maxRotation: 0,
-          autoSkipPadding: 20,
-          precision: 3,
-        }, // Adjust precision/padding
-        grid: { color: colors.grid, drawBorder: false },
-      },
-      y: {
-        title: { display: true, text: yAxisLabel, color: colors.text },
-        min: minY,
-        max: maxY,
-        ticks: { color: colors.text, precision: 3 }, // Adjust precision
-        grid: { color: colors.grid, drawBorder: false },
-      },
-    },
-    plugins: {
-      title: {
-        display: true,
-        text: chartTitle,
-        color: colors.text,
-        font: { weight: "500", size: 14 },
-        padding: { bottom: 15 },
-      },
+function handleDeletePreset() {
+  const [group, index] = presetSelect.value.split(":");
+  if (group !== "saved") return;
+  const presets = loadSavedPresets();
+  const [removed] = presets.splice(index, 1);
+  try {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    presetStatusElement.textContent = `Could not delete "${removed.name}": ${error.message}`;
+    return;
+  }
+  updatePresetOptions();
+  presetNameInput.value = "";
+  presetStatusElement.textContent = `Deleted "${removed.name}".`;
+}
+
+function exportPresets() {
+  const json = JSON.stringify(loadSavedPresets(), null, 2);
+  downloadBlob(
+    new Blob([json], { type: "application/json" }),
+    "pcm-presets.json"
+  );
+}
+
+// Merges a JSON file of presets (a list as written by exportPresets, or one
+// { name, state } preset) into the saved ones; same names are replaced
+async function importPresets(file) {
+  if (!file) return;
+  try {
+    const parsed = JSON.parse(await file.text());
+    const imported = Array.isArray(parsed) ? parsed : [parsed];
+    if (imported.length === 0 || !imported.every(isValidPreset)) {
+      throw new Error("expected a list of { name, state } presets.");
+    }
+    const presets = loadSavedPresets();
+    imported.forEach(({ name, state }) =>
+      upsertPreset(presets, { name: name.trim(), state })
+    );
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    updatePresetOptions();
+    presetStatusElement.textContent = `Imported ${imported.length} preset${
+      imported.length === 1 ? "" : "s"
+    } from ${file.name}.`;
+  } catch (error) {
+    presetStatusElement.textContent = `${file.name}: ${error.message}`;
+  }
+  presetFileInput.value = ""; // Lets the same file be imported again
+}
+
+// --- Core Logic Trigger ---
+function triggerGeneration() {
+  updatePermalink();
+  if (appModeSelect.value === "decode") {
+    if (validateDecoderInputs()) decodeAndDisplay();
+    return;
+  }
+  if (validateInputs()) {
+    generateAndDisplay();
+  }
+  // Validation function now displays errors/warnings directly
+}
+
+// --- Input Validation ---
+function validateInputs() {
+  errorMessageElement.textContent = ""; // Clear previous errors
+  let isValid = true;
+  let isWarning = false;
+  const messages = []; // Collect messages
+
+  const waveform = waveformSelect.value;
+  const frequency = parseFloat(frequencyInput.value);
+  const amplitude = parseFloat(amplitudeInput.value);
+  const phase = parseFloat(phaseInput.value); // Get phase
+  const harmonicCount = parseInt(harmonicCountInput.value);
+  const decayRate = parseFloat(decayRateInput.value);
+  const dcOffset = parseFloat(dcOffsetInput.value);
+  const samplingRate = parseFloat(samplingRateInput.value);
+  const quantizationLevels = parseInt(quantizationLevelsInput.value);
+  const startTime = parseFloat(startTimeInput.value); // Get start time
+  const endTime = parseFloat(endTimeInput.value); // Get end time
+
+  const tones = waveform === "multitone" ? getToneComponents() : [];
+
+  // Check individual values (the single tone inputs are hidden in multi-tone
+  // and expression modes)
+  if (waveform === "expression") {
+    try {
+      // Syntax only; generatePCMData reports values that are not finite at
+      // the times it actually evaluates (e.g. log(t) at t <= 0)
+      compileExpression(signalExpressionInput.value);
+    } catch (error) {
+      messages.push(`Expression error: ${error.message}`);
+      isValid = false;
+    }
+  } else if (waveform === "wav") {
+    if (!importedAudio) {
+      messages.push(
+        wavImportError
+          ? `WAV error: ${wavImportError}`
+          : "Load a WAV file to use it as the source."
+      );
+      isValid = false;
+    } else if (!isNaN(startTime) && startTime >= importedAudio.duration) {
+      messages.push(
+        `Start Time must be before the end of the file (${importedAudio.duration.toFixed(
+          3
+        )} s).`
+      );
+      isValid = false;
+    } else if (!isNaN(endTime) && endTime > importedAudio.duration + 1e-9) {
+      messages.push(
+        `End Time exceeds the file duration (${importedAudio.duration.toFixed(
+          3
+        )} s).`
+      );
+      isValid = false;
+    }
+  } else if (waveform === "multitone") {
+    tones.forEach((tone, index) => {
+      if (
+        isNaN(tone.frequency) ||
+        tone.frequency <= 0 ||
+        isNaN(tone.amplitude) ||
+        tone.amplitude < 0 ||
+        isNaN(tone.phase)
+      ) {
+        messages.push(
+          `Tone ${
+            index + 1
+          } needs frequency > 0, amplitude ≥ 0 and a numeric phase.`
+        );
+        isValid = false;
+      }
+    });
+    if (!tones.some((tone) => tone.amplitude > 0)) {
+      messages.push("At least one tone must have amplitude > 0.");
+      isValid = false;
+    }
+  } else {
+    if (isNaN(frequency) || frequency <= 0) {
+      messages.push("Frequency must be > 0.");
+      isValid = false;
+    }
+    if (isNaN(amplitude) || amplitude <= 0) {
+      messages.push("Amplitude must be > 0.");
+      isValid = false;
+    }
+    if (isNaN(phase)) {
+      messages.push("Phase must be a number.");
+      isValid = false;
+    } // Basic check
+  }
+  if (
+    waveform === "harmonics" &&
+    (isNaN(harmonicCount) || harmonicCount < 1 || harmonicCount > MAX_HARMONICS)
+  ) {
+    messages.push(
+      `Harmonics must be an integer between 1 and ${MAX_HARMONICS}.`
+    );
+    isValid = false;
+  }
+  if (waveform === "decaying" && (isNaN(decayRate) || decayRate < 0)) {
+    messages.push("Decay Rate must be ≥ 0.");
+    isValid = false;
+  }
+  if (waveform === "dcSine" && isNaN(dcOffset)) {
+    messages.push("DC Offset must be a number.");
+    isValid = false;
+  }
+  if (isNaN(samplingRate) || samplingRate <= 0) {
+    messages.push("Sampling Rate must be > 0.");
+    isValid = false;
+  }
+  const encodingMode = encodingModeSelect.value;
+  if (
+    (encodingMode === "pcm" || encodingMode === "sdm") &&
+    (isNaN(quantizationLevels) ||
+      quantizationLevels < 2 ||
+      !Number.isInteger(quantizationLevels))
+  ) {
+    messages.push("Quantization Levels must be an integer ≥ 2.");
+    isValid = false;
+  }
+  if (encodingMode === "dpcm") {
+    const predictorOrder = parseInt(predictorOrderInput.value);
+    const coefficients = parsePredictorCoefficients();
+    const residualBits = parseInt(residualBitsInput.value);
+    if (
+      isNaN(predictorOrder) ||
+      predictorOrder < 1 ||
+      predictorOrder > MAX_PREDICTOR_ORDER
+    ) {
+      messages.push(
+        `Predictor Order must be an integer between 1 and ${MAX_PREDICTOR_ORDER}.`
+      );
+      isValid = false;
+    } else if (coefficients.length !== predictorOrder) {
+      messages.push(
+        `Enter ${predictorOrder} predictor coefficient(s), one per order.`
+      );
+      isValid = false;
+    }
+    if (coefficients.some((a) => !isFinite(a))) {
+      messages.push("Predictor coefficients must be numbers.");
+      isValid = false;
+    }
+    if (
+      isNaN(residualBits) ||
+      residualBits < 1 ||
+      residualBits > MAX_RESIDUAL_BITS
+    ) {
+      messages.push(
+        `Residual Bits must be an integer between 1 and ${MAX_RESIDUAL_BITS}.`
+      );
+      isValid = false;
+    }
+  }
+  if (encodingMode === "dm" || encodingMode === "adm") {
+    const stepSize = parseFloat(dmStepSizeInput.value);
+    if (isNaN(stepSize) || stepSize <= 0) {
+      messages.push("Step Size must be > 0.");
+      isValid = false;
+    }
+    if (encodingMode === "adm") {
+      const stepGrowth = parseFloat(admStepGrowthInput.value);
+      if (isNaN(stepGrowth) || stepGrowth <= 1) {
+        messages.push("Step Growth must be > 1.");
+        isValid = false;
+      }
+    }
+  }
+  if (encodingMode === "sdm") {
+    const osr = parseInt(oversamplingRatioInput.value);
+    const modulatorBits = parseInt(modulatorBitsInput.value);
+    if (isNaN(osr) || osr < 2 || osr > SDM_MAX_OSR) {
+      messages.push(
+        `Oversampling Ratio must be an integer between 2 and ${SDM_MAX_OSR}.`
+      );
+      isValid = false;
+    } else if (
+      samplingRate > 0 &&
+      endTime > startTime &&
+      (endTime - startTime) * samplingRate * osr > SDM_MAX_SYMBOLS
+    ) {
+      messages.push(
+        `The modulator would run ${Math.round(
+          (endTime - startTime) * samplingRate * osr
+        )} steps (max ${SDM_MAX_SYMBOLS}); shorten the time range or lower the sampling rate or OSR.`
+      );
+      isValid = false;
+    }
+    if (
+      isNaN(modulatorBits) ||
+      modulatorBits < 1 ||
+      modulatorBits > SDM_MAX_BITS
+    ) {
+      messages.push(
+        `Modulator Bits must be an integer between 1 and ${SDM_MAX_BITS}.`
+      );
+      isValid = false;
+    }
+  }
+  const tdmLayout = tdmLayoutSelect.value;
+  if (tdmLayout !== "none") {
+    const signals = parseTdmChannels();
+    const capacity = TDM_CAPACITY[tdmLayout] ?? TDM_MAX_CHANNELS;
+    if (
+      signals.some(
+        ({ frequency, amplitude }) =>
+          isNaN(frequency) ||
+          frequency <= 0 ||
+          (amplitude !== null && (isNaN(amplitude) || amplitude <= 0))
+      )
+    ) {
+      messages.push(
+        `Other Channels must be comma-separated "[waveform] frequency [amplitude]" entries with frequency and amplitude > 0 (waveform: ${TDM_CHANNEL_WAVEFORMS.join(
+          ", "
+        )}).`
+      );
+      isValid = false;
+    } else if (tdmLayout === "custom" && signals.length === 0) {
+      messages.push("A custom TDM frame needs at least one other channel.");
+      isValid = false;
+    } else if (signals.length + 1 > capacity) {
+      messages.push(
+        `${TDM_LAYOUT_LABELS[tdmLayout]} frames carry at most ${capacity} channels.`
+      );
+      isValid = false;
+    } else if (samplingRate > 0) {
+      const aliased = signals
+        .map((signal) => signal.frequency)
+        .filter((f) => f > samplingRate / 2);
+      if (aliased.length > 0) {
+        messages.push(
+          `Warning: Channel signal(s) at ${aliased.join(
+            ", "
+          )} Hz lie above fs/2 and will alias.`
+        );
+        isWarning = true;
+      }
+    }
+    if (
+      tdmLayout === "custom" &&
+      !/^[01]{2,32}$/.test(tdmSyncWordInput.value)
+    ) {
+      messages.push("Frame Sync Word must be 2 to 32 bits of 0 and 1.");
+      isValid = false;
+    }
+    if (tdmLayout !== "custom") {
+      // Bits per sample of each coder, which must fit an 8-bit slot
+      const wordBits = {
+        pcm: quantizerTypeSelect.value.startsWith("g711")
+          ? 8
+          : Math.ceil(Math.log2(quantizationLevels)),
+        dpcm: parseInt(residualBitsInput.value),
+        adpcm: 4,
+        dm: 1,
+        adm: 1,
+        sdm:
+          parseInt(oversamplingRatioInput.value) *
+          parseInt(modulatorBitsInput.value),
+      }[encodingMode];
+      if (wordBits > TDM_SLOT_BITS) {
+        messages.push(
+          `${TDM_LAYOUT_LABELS[tdmLayout]} time slots hold ${TDM_SLOT_BITS} bits, but each sample takes ${wordBits}; use a custom frame or fewer bits.`
+        );
+        isValid = false;
+      }
+    }
+  }
+  if (lineBitRateInput.value.trim() !== "") {
+    const lineBitRate = parseFloat(lineBitRateInput.value);
+    if (isNaN(lineBitRate) || lineBitRate <= 0) {
+      messages.push("Line Bit Rate must be > 0 (or blank for fs × bits).");
+      isValid = false;
+    }
+  }
+  const channelType = channelTypeSelect.value;
+  if (channelType === "bsc") {
+    const errorProbability = parseFloat(bitErrorProbabilityInput.value);
+    if (
+      isNaN(errorProbability) ||
+      errorProbability < 0 ||
+      errorProbability > 1
+    ) {
+      messages.push("Bit Error Probability must be between 0 and 1.");
+      isValid = false;
+    }
+  }
+  if (channelType === "awgn" && !isFinite(parseFloat(channelSnrInput.value))) {
+    messages.push("Channel SNR must be a number.");
+    isValid = false;
+  }
+  if (channelType !== "none") {
+    const seed = parseInt(channelSeedInput.value);
+    if (isNaN(seed) || seed < 0) {
+      messages.push("Noise Seed must be an integer ≥ 0.");
+      isValid = false;
+    }
+  }
+  if (encodingMode === "pcm" && ditherTypeSelect.value !== "none") {
+    const ditherAmplitude = parseFloat(ditherAmplitudeInput.value);
+    const seed = parseInt(ditherSeedInput.value);
+    if (isNaN(ditherAmplitude) || ditherAmplitude < 0) {
+      messages.push("Dither Amplitude must be ≥ 0.");
+      isValid = false;
+    }
+    if (isNaN(seed) || seed < 0) {
+      messages.push("Dither Seed must be an integer ≥ 0.");
+      isValid = false;
+    }
+    if (rangeModeSelect.value === "auto") {
+      messages.push(
+        "Warning: With the range fitted to the signal, dither at the peaks is clipped and the error stays signal-dependent there; use a fixed full scale with some headroom."
+      );
+      isWarning = true;
+    }
+  }
+  const quantizerType =
+    encodingMode === "pcm" ? quantizerTypeSelect.value : "uniform";
+  const reconstructionMethod = reconstructionMethodSelect.value;
+  if (reconstructionMethod === "sinc") {
+    const sincTaps = parseInt(sincTapsInput.value);
+    if (isNaN(sincTaps) || sincTaps < 1 || sincTaps > MAX_SINC_TAPS) {
+      messages.push(
+        `Sinc Half-Width must be an integer between 1 and ${MAX_SINC_TAPS}.`
+      );
+      isValid = false;
+    }
+  }
+  if (reconstructionMethod === "lowpass") {
+    const cutoff = parseFloat(reconstructionCutoffInput.value);
+    const order = parseInt(reconstructionOrderInput.value);
+    if (isNaN(cutoff) || cutoff <= 0) {
+      messages.push("Reconstruction cutoff must be > 0.");
+      isValid = false;
+    } else if (samplingRate > 0 && cutoff > samplingRate / 2) {
+      messages.push(
+        `Warning: Reconstruction cutoff (${cutoff} Hz) is above fs/2 (${(
+          samplingRate / 2
+        ).toFixed(1)} Hz); spectral images will pass through.`
+      );
+      isWarning = true;
+    }
+    if (isNaN(order) || order < 1 || order > MAX_FILTER_ORDER) {
+      messages.push(
+        `Filter Order must be an integer between 1 and ${MAX_FILTER_ORDER}.`
+      );
+      isValid = false;
+    }
+  }
+  const prefilterType = prefilterTypeSelect.value;
+  const prefilterCutoff = parseFloat(prefilterCutoffInput.value);
+  if (prefilterType !== "none") {
+    const order = parseInt(prefilterOrderInput.value);
+    if (isNaN(prefilterCutoff) || prefilterCutoff <= 0) {
+      messages.push("Prefilter cutoff must be > 0.");
+      isValid = false;
+    } else if (samplingRate > 0 && prefilterCutoff > samplingRate / 2) {
+      messages.push(
+        `Warning: Prefilter cutoff (${prefilterCutoff} Hz) is above fs/2 (${(
+          samplingRate / 2
+        ).toFixed(1)} Hz); components between them will still alias.`
+      );
+      isWarning = true;
+    }
+    if (isNaN(order) || order < 1 || order > MAX_FILTER_ORDER) {
+      messages.push(
+        `Prefilter Order must be an integer between 1 and ${MAX_FILTER_ORDER}.`
+      );
+      isValid = false;
+    }
+    if (prefilterType === "chebyshev") {
+      const ripple = parseFloat(prefilterRippleInput.value);
+      if (isNaN(ripple) || ripple <= 0) {
+        messages.push("Passband Ripple must be > 0 dB.");
+        isValid = false;
+      }
+    }
+  }
+  const jitterType = jitterTypeSelect.value;
+  if (isNaN(parseFloat(samplingOffsetInput.value))) {
+    messages.push("Sampling Offset must be a number.");
+    isValid = false;
+  }
+  if (jitterType !== "none") {
+    const jitterRms = parseFloat(jitterRmsInput.value);
+    if (isNaN(jitterRms) || jitterRms < 0) {
+      messages.push("RMS Jitter must be ≥ 0.");
+      isValid = false;
+    } else if (samplingRate > 0 && jitterRms / 1000 > 0.25 / samplingRate) {
+      messages.push(
+        `Warning: RMS jitter (${jitterRms} ms) exceeds a quarter of the sampling interval (${(
+          250 / samplingRate
+        ).toFixed(3)} ms); sample instants may swap order.`
+      );
+      isWarning = true;
+    }
+    if (jitterType === "sinusoidal") {
+      const jitterFrequency = parseFloat(jitterFrequencyInput.value);
+      if (isNaN(jitterFrequency) || jitterFrequency <= 0) {
+        messages.push("Jitter Frequency must be > 0.");
+        isValid = false;
+      }
+    } else {
+      const seed = parseInt(jitterSeedInput.value);
+      if (isNaN(seed) || seed < 0) {
+        messages.push("Jitter Seed must be an integer ≥ 0.");
+        isValid = false;
+      }
+    }
+  }
+  // Appended to the aliasing warnings when the prefilter band-limits the input
+  const prefilterNote =
+    prefilterType !== "none" && prefilterCutoff <= samplingRate / 2
+      ? ` The ${PREFILTER_LABELS[prefilterType]} prefilter (${prefilterCutoff} Hz) attenuates it before sampling.`
+      : "";
+  if (rangeModeSelect.value === "manual") {
+    const fullScale = parseFloat(fullScaleInput.value);
+    if (isNaN(fullScale) || fullScale <= 0) {
+      messages.push("Full Scale must be > 0.");
+      isValid = false;
+    }
+  }
+  if (quantizerType === "mulaw") {
+    const mu = parseFloat(muValueInput.value);
+    if (isNaN(mu) || mu <= 0) {
+      messages.push("μ must be > 0.");
+      isValid = false;
+    }
+  }
+  if (quantizerType === "alaw") {
+    const aLaw = parseFloat(aLawValueInput.value);
+    if (isNaN(aLaw) || aLaw < 1) {
+      messages.push("A must be ≥ 1.");
+      isValid = false;
+    }
+  }
+  if (isNaN(startTime) || startTime < 0) {
+    messages.push("Start Time must be ≥ 0.");
+    isValid = false;
+  }
+  if (isNaN(endTime) || endTime < 0) {
+    messages.push("End Time must be ≥ 0.");
+    isValid = false;
+  }
+
+  // Check time range validity only if individual times are valid numbers
+  if (!isNaN(startTime) && !isNaN(endTime)) {
+    if (endTime <= startTime) {
+      messages.push("End Time must be greater than Start Time.");
+      isValid = false;
+    } else {
+      const duration = endTime - startTime;
+      if (duration > MAX_DURATION) {
+        messages.push(
+          `Time range duration (${duration.toFixed(
+            2
+          )}s) exceeds maximum (${MAX_DURATION}s).`
+        );
+        isValid = false;
+      }
+      // Nyquist check (as warning) if other core values are valid
+      if (waveform === "expression") {
+        // Bandwidth of an arbitrary expression is unknown; no Nyquist check
+      } else if (waveform === "wav") {
+        // The file may hold content up to its own Nyquist frequency
+        if (importedAudio && samplingRate < importedAudio.sampleRate) {
+          messages.push(
+            `Warning: Sampling Rate (${samplingRate} Hz) is below the file's rate (${
+              importedAudio.sampleRate
+            } Hz); content above ${(samplingRate / 2).toFixed(
+              1
+            )} Hz will alias.${prefilterNote}`
+          );
+          isWarning = true;
+        }
+      } else if (waveform === "multitone") {
+        if (!isNaN(samplingRate) && samplingRate > 0) {
+          // Each component is checked on its own so the aliasing one is named
+          tones.forEach((tone, index) => {
+            if (tone.frequency > 0 && samplingRate < 2 * tone.frequency) {
+              messages.push(
+                `Warning: Tone ${index + 1} (${
+                  tone.frequency
+                } Hz) is above the Nyquist frequency (${(
+                  samplingRate / 2
+                ).toFixed(1)} Hz). Aliasing will occur.${prefilterNote}`
+              );
+              isWarning = true;
+            }
+          });
+        }
+      } else if (
+        !isNaN(frequency) &&
+        !isNaN(samplingRate) &&
+        samplingRate > 0 &&
+        frequency > 0
+      ) {
+        // Use the highest significant harmonic, not just the fundamental
+        const maxFrequency =
+          frequency * getHighestSignificantHarmonic(waveform, harmonicCount);
+        if (samplingRate < 2 * maxFrequency) {
+          const harmonicNote =
+            maxFrequency > frequency
+              ? ` for highest significant harmonic (${maxFrequency.toFixed(
+                  1
+                )} Hz)`
+              : "";
+          messages.push(
+            `Warning: Sampling Rate (${samplingRate} Hz) may be below Nyquist rate (${(
+              2 * maxFrequency
+            ).toFixed(
+              1
+            )} Hz)${harmonicNote}. Aliasing may occur.${prefilterNote}`
+          );
+          isWarning = true;
+        }
+      }
+    }
+  }
+
+  // Display messages
+  if (messages.length > 0) {
+    errorMessageElement.textContent = messages.join(" ");
+    // If only warnings, style differently
+    if (isValid && isWarning) {
+      errorMessageElement.style.color = "var(--warning-color)";
+    } else {
+      errorMessageElement.style.color = "var(--error-color)";
+    }
+  }
+
+  return isValid; // Only return true if there are no fatal errors (warnings are ok)
+}
+
+// Decode mode: the decoder settings, and the bitstream itself, which is
+// parsed here so malformed or misaligned input is reported before decoding
+function validateDecoderInputs() {
+  errorMessageElement.textContent = "";
+  errorMessageElement.style.color = "var(--error-color)";
+  const messages = [];
+  const settings = getDecoderSettings();
+  const { numLevels, wordLength, samplingRate, fullScale } = settings;
+
+  if (!Number.isInteger(numLevels) || numLevels < 2) {
+    messages.push("Quantization Levels must be an integer ≥ 2.");
+  } else if (numLevels > 2 ** DECODE_MAX_WORD_LENGTH) {
+    messages.push(
+      `Quantization Levels must be at most 2^${DECODE_MAX_WORD_LENGTH}.`
+    );
+  } else if (
+    decodeWordLengthInput.value.trim() !== "" &&
+    (!Number.isInteger(wordLength) ||
+      wordLength < 1 ||
+      wordLength > DECODE_MAX_WORD_LENGTH)
+  ) {
+    messages.push(
+      `Word Length must be an integer between 1 and ${DECODE_MAX_WORD_LENGTH}.`
+    );
+  } else if (2 ** wordLength < numLevels) {
+    messages.push(
+      `${wordLength}-bit words cannot hold ${numLevels} levels (need ${Math.ceil(
+        Math.log2(numLevels)
+      )} bits).`
+    );
+  }
+  if (isNaN(samplingRate) || samplingRate <= 0) {
+    messages.push("Sample Rate must be > 0.");
+  }
+  if (isNaN(fullScale) || fullScale <= 0) {
+    messages.push("Full Scale must be > 0.");
+  }
+  if (bitstreamFileError) {
+    messages.push(`File error: ${bitstreamFileError}`);
+  } else if (messages.length === 0) {
+    try {
+      parseBitstream(bitstreamInput.value, settings);
+    } catch (error) {
+      messages.push(error.message);
+    }
+  }
+
+  errorMessageElement.textContent = messages.join(" ");
+  return messages.length === 0;
+}
+
+// Decoder settings from the form; a blank word length means the fewest
+// bits that hold the level count
+function getDecoderSettings() {
+  const numLevels = Number(decodeLevelsInput.value);
+  const wordLength =
+    decodeWordLengthInput.value.trim() === ""
+      ? Math.max(1, Math.ceil(Math.log2(numLevels)))
+      : Number(decodeWordLengthInput.value);
+  return {
+    wordLength,
+    codeFormat: decodeCodeFormatSelect.value,
+    numLevels,
+    samplingRate: parseFloat(decodeSamplingRateInput.value),
+    fullScale: parseFloat(decodeFullScaleInput.value),
+    midTread: decodeLevelPlacementSelect.value === "midTread",
+  };
+}
+
+function decodeAndDisplay() {
+  const settings = getDecoderSettings();
+  const reconstruction = {
+    method: reconstructionMethodSelect.value,
+    sincTaps: parseInt(sincTapsInput.value),
+    sincWindow: sincWindowSelect.value,
+    cutoff: parseFloat(reconstructionCutoffInput.value),
+    order: parseInt(reconstructionOrderInput.value),
+  };
+  const data = decodeBitstream(
+    parseBitstream(bitstreamInput.value, settings),
+    settings,
+    reconstruction
+  );
+  currentChartData = data;
+
+  updateCharts();
+  displayPcmOutput(data.pcmCodes, data.numBits === 1 ? "" : " ");
+  [
+    channelDisplayElement,
+    clipDisplayElement,
+    dmDisplayElement,
+    aliasDisplayElement,
+    jitterDisplayElement,
+    reconstructionErrorElement,
+    qualityMetricsElement,
+    metricsNotesElement,
+  ].forEach((element) => (element.textContent = ""));
+  clipDisplayElement.classList.remove("has-clipping");
+  snrDisplayElement.textContent = `Decoded ${data.pcmCodes.length} words (${
+    data.pcmCodes.length * data.numBits
+  } bits) over ${+data.endTime.toFixed(4)} s · SNR: N/A (no analog reference)`;
+  displayBitRate(data);
+  displayTdm(data);
+  populatePcmTable(data);
+  updateExportButtons(data);
+}
+
+// --- Data Generation and Processing ---
+function generateAndDisplay() {
+  // validateInputs already cleared stale messages; keep its warnings visible
+  const signal = {
+    waveform: waveformSelect.value,
+    frequency: parseFloat(frequencyInput.value),
+    amplitude: parseFloat(amplitudeInput.value),
+    phase: parseFloat(phaseInput.value),
+    harmonicCount: parseInt(harmonicCountInput.value),
+    decayRate: parseFloat(decayRateInput.value),
+    dcOffset: parseFloat(dcOffsetInput.value),
+    components: waveformSelect.value === "multitone" ? getToneComponents() : [],
+    expression: signalExpressionInput.value,
+    audio:
+      waveformSelect.value === "wav" && importedAudio
+        ? { sampleRate: importedAudio.sampleRate, samples: getWavSamples() }
+        : null,
+  };
+  const samplingRate = parseFloat(samplingRateInput.value);
+  const quantizationLevels = parseInt(quantizationLevelsInput.value);
+  const startTime = parseFloat(startTimeInput.value);
+  const endTime = parseFloat(endTimeInput.value);
+
+  const encoding = {
+    mode: encodingModeSelect.value,
+    predictorCoefficients: parsePredictorCoefficients(),
+    residualBits: parseInt(residualBitsInput.value),
+    stepSize: parseFloat(dmStepSizeInput.value),
+    stepGrowth: parseFloat(admStepGrowthInput.value),
+    codeFormat: codeFormatSelect.value,
+    sdmOrder: parseInt(sdmOrderSelect.value),
+    oversamplingRatio: parseInt(oversamplingRatioInput.value),
+    modulatorBits: parseInt(modulatorBitsInput.value),
+  };
+
+  const tdm = {
+    layout: tdmLayoutSelect.value,
+    signals: parseTdmChannels(),
+    syncWord: tdmSyncWordInput.value,
+  };
+
+  const lineCode = {
+    code: lineCodeSelect.value,
+    bitRate: parseFloat(lineBitRateInput.value) || null, // Blank: fs * bits
+  };
+
+  const channel = {
+    type: channelTypeSelect.value,
+    errorProbability: parseFloat(bitErrorProbabilityInput.value),
+    snrDb: parseFloat(channelSnrInput.value),
+    seed: parseInt(channelSeedInput.value),
+  };
+
+  const prefilter = {
+    type: prefilterTypeSelect.value,
+    cutoff: parseFloat(prefilterCutoffInput.value),
+    order: parseInt(prefilterOrderInput.value),
+    ripple: parseFloat(prefilterRippleInput.value),
+  };
+
+  const jitter = {
+    type: jitterTypeSelect.value,
+    rms: parseFloat(jitterRmsInput.value) / 1000, // ms to s
+    frequency: parseFloat(jitterFrequencyInput.value),
+    offset: parseFloat(samplingOffsetInput.value) / 1000,
+    seed: parseInt(jitterSeedInput.value),
+  };
+
+  const dither = {
+    type: ditherTypeSelect.value,
+    amplitude: parseFloat(ditherAmplitudeInput.value),
+    shapingOrder: parseInt(noiseShapingSelect.value),
+    seed: parseInt(ditherSeedInput.value),
+  };
+  // The differential coders replace the quantizer settings; theirs only
+  // sets the range and the plain PCM reference
+  const isPcm = encoding.mode === "pcm";
+
+  const quantizer = {
+    type: isPcm ? quantizerTypeSelect.value : "uniform",
+    mu: parseFloat(muValueInput.value),
+    aLaw: parseFloat(aLawValueInput.value),
+    midTread: levelPlacementSelect.value === "midTread",
+    fullScale:
+      rangeModeSelect.value === "manual"
+        ? parseFloat(fullScaleInput.value)
+        : null,
+  };
+
+  const reconstruction = {
+    method: reconstructionMethodSelect.value,
+    sincTaps: parseInt(sincTapsInput.value),
+    sincWindow: sincWindowSelect.value,
+    cutoff: parseFloat(reconstructionCutoffInput.value),
+    order: parseInt(reconstructionOrderInput.value),
+  };
+
+  const options = {
+    signal,
+    samplingRate,
+    // Sigma-delta uses the levels for its plain PCM reference; other coders
+    // only use the quantizer range
+    numLevels: isPcm || encoding.mode === "sdm" ? quantizationLevels : 2,
+    startTime,
+    endTime,
+    quantizer,
+    reconstruction,
+    encoding,
+    lineCode,
+    channel,
+    dither,
+    prefilter,
+    jitter,
+  };
+  let data;
+  try {
+    data = generatePCMData(options);
+  } catch (error) {
+    // Problems only the run itself finds, such as an expression that is not
+    // finite where the offset or jittered clock samples it
+    errorMessageElement.textContent = error.message;
+    errorMessageElement.style.color = "var(--error-color)";
+    return;
+  }
+  if (data.analogData) {
+    data.spectra = buildSpectra(data, {
+      window: spectrumWindowSelect.value,
+      peaksOf: spectrumPeaksSelect.value,
+    });
+    data.errorAnalysis = buildErrorAnalysis(data, spectrumWindowSelect.value);
+    if (data.sigmaDelta) {
+      data.sigmaDelta.spectrum = buildModulatorSpectrum(data.sigmaDelta);
+    }
+    if (tdm.layout !== "none") {
+      // Each further channel has its own waveform, frequency and amplitude
+      // (channel 1's quantizer peak unless given) and is coded the same way;
+      // only its codes are needed, as the channel impairments apply to the
+      // TDM stream
+      const signals = tdm.signals.map((signal) => ({
+        ...signal,
+        amplitude: signal.amplitude ?? data.amplitude,
+      }));
+      const others = signals.map((signal) =>
+        generatePCMData({
+          ...options,
+          signal: { ...signal, phase: 0 },
+          encodeOnly: true,
+        })
+      );
+      data.tdm = buildTdm(
+        [data, ...others],
+        { ...tdm, signals },
+        channel,
+        lineCode.code
+      );
+    }
+  }
+  currentChartData = data; // Store latest data *before* updating charts
+
+  updateCharts(); // Update charts using currentChartData
+  displayPcmOutput(data.pcmCodes, data.numBits === 1 ? "" : " "); // 1-bit codes read as a bitstream
+  displaySNR(data.sampledData, data.quantizedData, data.snrReference);
+  displayChannelStats(data);
+  displayQualityMetrics(data);
+  displayBitRate(data);
+  displayClippingStats(data);
+  displayDeltaModulationStats(data);
+  displayAliasing(data);
+  displayJitterStats(data);
+  displayReconstructionError(data);
+  displayTdm(data);
+  populatePcmTable(data);
+  lineBitRateInput.placeholder = `${+(data.samplingRate * data.numBits).toFixed(
+    3
+  )} (fs × bits)`;
+  updateExportButtons(data);
+}
+
+// --- Charting ---
+
+function getChartColors() {
+  const isDarkMode = document.body.getAttribute("data-theme") === "dark";
+  // Use CSS variables for consistency
+  const style = getComputedStyle(document.body);
+  return {
+    analog: "#3b82f6", // Blue
+    analogOverlay: "rgba(59, 130, 246, 0.45)", // Translucent blue for overlays
+    sampled: "#ef4444", // Red
+    quantized: "#10b981", // Green
+    reconstructed: "#8b5cf6", // Purple
+    error: "#f59e0b", // Amber/Orange
+    compressor: "#64748b", // Slate
+    clipped: style.getPropertyValue("--error-color").trim(),
+    grid: style.getPropertyValue("--grid-color").trim(),
+    text: style.getPropertyValue("--text-color").trim(),
+    tooltipBg: style.getPropertyValue("--tooltip-bg").trim(),
+    tooltipText: style.getPropertyValue("--tooltip-text").trim(),
+    slopeOverload: style.getPropertyValue("--error-color").trim(),
+    granular: "#ec4899", // Pink
+  };
+}
+
+// Takes data object (currentChartData)
+function createChartOptions(yAxisLabel, chartTitle, data) {
+  const colors = getChartColors();
+  const {
+    amplitude,
+    signalMin,
+    signalMax,
+    rangeMin,
+    rangeMax,
+    startTime,
+    endTime,
+    errorData,
+  } = data;
+
+  // Fit both the signal and the quantizer range so clipping is visible
+  const lowY = Math.min(signalMin, rangeMin ?? signalMin);
+  const highY = Math.max(signalMax, rangeMax ?? signalMax);
+  const yPadding = (highY - lowY) * 0.05;
+  let minY = lowY - yPadding;
+  let maxY = highY + yPadding;
+  if (yAxisLabel.toLowerCase().includes("error")) {
+    const maxAbsError =
+      errorData && errorData.length > 0
+        ? Math.max(...errorData.map((p) => Math.abs(p.y)), 0)
+        : amplitude / 2;
+    const buffer = maxAbsError * 0.15 + 1e-6;
+    minY = -maxAbsError - buffer;
+    maxY = maxAbsError + buffer;
+  }
+
+  return {
+    responsive: true,
+    maintainAspectRatio: false,
+    scales: {
+      x: {
+        type: "linear",
+        position: "bottom",
+        title: { display: true, text: "Time (s)", color: colors.text },
+        min: startTime, // Use user-defined start time
+        max: endTime, // Use user-defined end time
+        ticks: {
+          color: colors.text,
+          maxRotation: 0,
+          autoSkipPadding: 20,
+          precision: 3,
+        }, // Adjust precision/padding
+        grid: { color: colors.grid, drawBorder: false },
+      },
+      y: {
+        title: { display: true, text: yAxisLabel, color: colors.text },
+        min: minY,
+        max: maxY,
+        ticks: { color: colors.text, precision: 3 }, // Adjust precision
+        grid: { color: colors.grid, drawBorder: false },
+      },
+    },
+    plugins: {
+      title: {
+        display: true,
+        text: chartTitle,
+        color: colors.text,
+        font: { weight: "500", size: 14 },
+        padding: { bottom: 15 },
+      },
       tooltip: {
         backgroundColor: colors.tooltipBg,
         titleColor: colors.tooltipText,
@@ -481,8 +1869,313 @@ function createChartOptions(yAxisLabel, chartTitle, data) {
   };
 }
 
+// Transfer curve plots normalized input vs output instead of time
+function createTransferChartOptions(data) {
+  const colors = getChartColors();
+  const labels = {
+    uniform: "Uniform",
+    mulaw: "μ-law",
+    alaw: "A-law",
+    g711mu: "G.711 μ-law",
+    g711a: "G.711 A-law",
+  };
+  const options = createChartOptions(
+    "Output (normalized)",
+    `Quantizer Transfer Curve (${labels[data.quantizerType] || "Uniform"})`,
+    data
+  );
+  options.scales.x = {
+    ...options.scales.x,
+    title: { display: true, text: "Input (normalized)", color: colors.text },
+    min: -1,
+    max: 1,
+  };
+  options.scales.y = { ...options.scales.y, min: -1.05, max: 1.05 };
+  options.plugins.tooltip.callbacks.label = (context) =>
+    `${context.dataset.label}: (In: ${context.parsed.x.toFixed(
+      4
+    )}, Out: ${context.parsed.y.toFixed(4)})`;
+  return options;
+}
+
+// Line code waveform over the serialized bits, time from the first bit
+function createLineCodeChartOptions(data) {
+  const { lineCoding } = data;
+  const shownBits = Math.min(lineCoding.bitCount, LINE_CODE_MAX_BITS);
+  const options = createChartOptions(
+    "Level",
+    `${LINE_CODE_LABELS[lineCoding.code]} Line Code (${shownBits} of ${
+      lineCoding.bitCount
+    } bits at ${+lineCoding.bitRate.toFixed(3)} bit/s)`,
+    data
+  );
+  options.scales.x = {
+    ...options.scales.x,
+    min: 0,
+    max: shownBits / lineCoding.bitRate,
+  };
+  // Noisy received levels can leave the clean ±1 range
+  options.scales.y = lineCoding.receivedWaveform
+    ? { ...options.scales.y, min: undefined, max: undefined }
+    : { ...options.scales.y, min: -1.5, max: 1.5 };
+  options.plugins.tooltip.callbacks.label = (context) =>
+    `Bit ${Math.floor(context.parsed.x * lineCoding.bitRate + 1e-9)} = ${
+      context.raw.bit
+    }: level ${context.parsed.y}`;
+  return options;
+}
+
+function createLineCodePsdChartOptions(data) {
+  const colors = getChartColors();
+  const { lineCoding } = data;
+  const options = createChartOptions(
+    "PSD × Rb",
+    `Power Spectral Density (first null at ${+lineCoding.firstNull.toFixed(
+      3
+    )} Hz)`,
+    data
+  );
+  options.scales.x = {
+    ...options.scales.x,
+    title: { display: true, text: "Frequency (Hz)", color: colors.text },
+    min: 0,
+    max: 4 * lineCoding.bitRate,
+  };
+  options.scales.y = { ...options.scales.y, min: 0, max: undefined };
+  options.plugins.tooltip.callbacks.label = (context) =>
+    `${context.dataset.label}: ${context.parsed.y.toFixed(
+      4
+    )} at ${context.parsed.x.toFixed(2)} Hz`;
+  return options;
+}
+
+function createSpectrumChartOptions(data) {
+  const colors = getChartColors();
+  const { spectra } = data;
+  const windowLabels = {
+    rectangular: "Rectangular",
+    hann: "Hann",
+    blackman: "Blackman",
+  };
+  const options = createChartOptions(
+    "Magnitude (dB)",
+    `Magnitude Spectrum (${windowLabels[spectra.window]} window)`,
+    data
+  );
+  options.scales.x = {
+    ...options.scales.x,
+    title: { display: true, text: "Frequency (Hz)", color: colors.text },
+    min: 0,
+    max: spectra.maxFrequency,
+  };
+  options.scales.y = {
+    ...options.scales.y,
+    min: spectra.minDb,
+    max: spectra.maxDb,
+  };
+  options.plugins.tooltip.callbacks.label = (context) => {
+    const alias = context.raw.from
+      ? ` (alias of ${context.raw.from.toFixed(2)} Hz)`
+      : "";
+    return `${context.dataset.label}: ${context.parsed.y.toFixed(
+      1
+    )} dB at ${context.parsed.x.toFixed(2)} Hz${alias}`;
+  };
+  return options;
+}
+
+// Input frequency against apparent frequency: the sawtooth-like folding
+// pattern with each signal component marked where it lands
+function createAliasingChartOptions(data) {
+  const colors = getChartColors();
+  const { aliasing } = data;
+  const first = aliasing.components.find((c) => c.aliased);
+  const summary = first
+    ? `${+first.frequency.toFixed(3)} Hz appears at ${+first.apparent.toFixed(
+        3
+      )} Hz`
+    : "no aliasing";
+  const options = createChartOptions(
+    "Apparent Frequency (Hz)",
+    `Frequency Folding (${summary})`,
+    data
+  );
+  options.scales.x = {
+    ...options.scales.x,
+    title: { display: true, text: "Input Frequency (Hz)", color: colors.text },
+    min: 0,
+    max: aliasing.diagramMax,
+  };
+  options.scales.y = {
+    ...options.scales.y,
+    min: 0,
+    max: aliasing.nyquist * 1.05,
+  };
+  options.plugins.tooltip.callbacks.label = (context) =>
+    `${context.dataset.label}: ${context.parsed.x.toFixed(
+      3
+    )} Hz → ${context.parsed.y.toFixed(3)} Hz`;
+  return options;
+}
+
+function createPrefilterChartOptions(data) {
+  const colors = getChartColors();
+  const { prefilter, samplingRate } = data;
+  const ripple =
+    prefilter.type === "chebyshev" ? `, ${prefilter.ripple} dB ripple` : "";
+  const options = createChartOptions(
+    "Magnitude (dB)",
+    `Prefilter Response (${PREFILTER_LABELS[prefilter.type]}, order ${
+      prefilter.order
+    }, ${prefilter.cutoff} Hz${ripple}; fs/2 = ${+(samplingRate / 2).toFixed(
+      3
+    )} Hz)`,
+    data
+  );
+  options.scales.x = {
+    ...options.scales.x,
+    title: { display: true, text: "Frequency (Hz)", color: colors.text },
+    min: 0,
+    max: prefilter.response[prefilter.response.length - 1].x,
+  };
+  options.scales.y = {
+    ...options.scales.y,
+    min: PREFILTER_FLOOR_DB,
+    max: 10,
+  };
+  options.plugins.tooltip.callbacks.label = (context) =>
+    `${context.dataset.label}: ${context.parsed.y.toFixed(
+      1
+    )} dB at ${context.parsed.x.toFixed(2)} Hz`;
+  return options;
+}
+
+function createSigmaDeltaOutputChartOptions(data) {
+  const { sigmaDelta } = data;
+  const levels = 2 ** sigmaDelta.outputBits;
+  const options = createChartOptions(
+    "Amplitude",
+    `Sigma-Delta Output (order ${
+      sigmaDelta.order
+    }, ${levels} levels at ${+sigmaDelta.modulatorRate.toFixed(3)} Hz)`,
+    data
+  );
+  options.scales.y = {
+    ...options.scales.y,
+    min: -sigmaDelta.reference * 1.1,
+    max: sigmaDelta.reference * 1.1,
+  };
+  return options;
+}
+
+// Log frequency axis so the in-band floor and the rising shaped noise both
+// show; DC is left out
+function createSigmaDeltaSpectrumChartOptions(data) {
+  const colors = getChartColors();
+  const { sigmaDelta } = data;
+  const options = createChartOptions(
+    "Magnitude (dB)",
+    `Noise-Shaped Spectrum (OSR ${sigmaDelta.osr}, Blackman window)`,
+    data
+  );
+  const { points } = sigmaDelta.spectrum;
+  const peak = points.reduce((max, point) => Math.max(max, point.y), -Infinity);
+  options.scales.x = {
+    ...options.scales.x,
+    type: "logarithmic",
+    title: { display: true, text: "Frequency (Hz)", color: colors.text },
+    min: points[0]?.x,
+    max: sigmaDelta.modulatorRate / 2,
+  };
+  options.scales.y = {
+    ...options.scales.y,
+    min: SPECTRUM_FLOOR_DB,
+    max: Math.ceil(peak / 10) * 10 + 10,
+  };
+  options.plugins.tooltip.callbacks.label = (context) =>
+    `${context.dataset.label}: ${context.parsed.y.toFixed(
+      1
+    )} dB at ${context.parsed.x.toFixed(2)} Hz`;
+  return options;
+}
+
+function createTdmChartOptions(data) {
+  const { tdm } = data;
+  return createChartOptions(
+    "Recovered Amp.",
+    `TDM Demultiplexer Output (${TDM_LAYOUT_LABELS[tdm.layout]}, ${
+      tdm.framesInSync
+    } / ${tdm.frameCount} frames in sync)`,
+    data
+  );
+}
+
+function createErrorSpectrumChartOptions(data) {
+  const colors = getChartColors();
+  const { errorAnalysis, dither } = data;
+  const shaping = dither.shapingOrder
+    ? `, order-${dither.shapingOrder} noise shaping`
+    : "";
+  const options = createChartOptions(
+    "Magnitude (dB)",
+    `Error Spectrum (${DITHER_LABELS[dither.type]}${shaping})`,
+    data
+  );
+  options.scales.x = {
+    ...options.scales.x,
+    title: { display: true, text: "Frequency (Hz)", color: colors.text },
+    min: 0,
+    max: data.samplingRate / 2,
+  };
+  options.scales.y = {
+    ...options.scales.y,
+    min: errorAnalysis.minDb,
+    max: errorAnalysis.maxDb,
+  };
+  options.plugins.tooltip.callbacks.label = (context) =>
+    `${context.dataset.label}: ${context.parsed.y.toFixed(
+      1
+    )} dB at ${context.parsed.x.toFixed(2)} Hz`;
+  return options;
+}
+
+function createErrorHistogramChartOptions(data) {
+  const colors = getChartColors();
+  const { errorAnalysis, lsb } = data;
+  const options = createChartOptions(
+    "Fraction of Samples",
+    `Error Histogram (mean ${errorAnalysis.mean.toFixed(
+      4
+    )}, σ ${errorAnalysis.deviation.toFixed(
+      4
+    )}, correlation with signal ${errorAnalysis.correlation.toFixed(3)})`,
+    data
+  );
+  const { histogram } = errorAnalysis;
+  options.scales.x = {
+    ...options.scales.x,
+    title: {
+      display: true,
+      text: `Error (1 LSB = ${+lsb.toFixed(4)})`,
+      color: colors.text,
+    },
+    min: histogram[0].x,
+    max: histogram[histogram.length - 1].x,
+  };
+  options.scales.y = { ...options.scales.y, min: 0, max: undefined };
+  options.plugins.tooltip.callbacks.label = (context) =>
+    `${(context.parsed.y * 100).toFixed(
+      1
+    )}% of samples from ${context.parsed.x.toFixed(4)}`;
+  return options;
+}
+
 function updateCharts() {
   const data = currentChartData;
+  if (data?.decoded) {
+    renderCharts(createDecodedChartConfigs(data, getChartColors()));
+    return;
+  }
   if (!data || !data.analogData) return;
 
   const {
@@ -491,8 +2184,56 @@ function updateCharts() {
     quantizedData,
     reconstructedData,
     errorData,
+    transferCurve,
+    clippedData,
+    predictionData,
+    residualData,
+    quantizedResidualData,
+    slopeOverloadData,
+    granularData,
   } = data;
   const colors = getChartColors();
+  // Slope-overload and granular-noise markers for the delta modulators
+  const deltaRegionDatasets = [
+    ...(slopeOverloadData.length > 0
+      ? [
+          {
+            label: "Slope Overload",
+            data: slopeOverloadData,
+            borderColor: colors.slopeOverload,
+            backgroundColor: "transparent",
+            type: "scatter",
+            showLine: false,
+            pointStyle: "triangle",
+            pointRadius: 5,
+            borderWidth: 2,
+          },
+        ]
+      : []),
+    ...(granularData.length > 0
+      ? [
+          {
+            label: "Granular Noise",
+            data: granularData,
+            borderColor: colors.granular,
+            backgroundColor: "transparent",
+            type: "scatter",
+            showLine: false,
+            pointStyle: "circle",
+            pointRadius: 5,
+            borderWidth: 2,
+          },
+        ]
+      : []),
+  ];
+  // Residuals are much smaller than the signal, so that axis scales itself
+  const residualOptions = createChartOptions(
+    "Residual",
+    "Prediction Residual",
+    data
+  );
+  delete residualOptions.scales.y.min;
+  delete residualOptions.scales.y.max;
 
   // Define chart configurations
   const chartConfigs = [
@@ -508,6 +2249,36 @@ function updateCharts() {
           type: "line",
           tension: 0.1,
         },
+        ...(data.prefilter
+          ? [
+              {
+                label: "Prefiltered",
+                data: data.prefilter.filteredData,
+                borderColor: colors.compressor,
+                borderWidth: 1.5,
+                type: "line",
+                pointRadius: 0,
+              },
+            ]
+          : []),
+        ...(data.aliasing?.aliasData
+          ? [
+              {
+                label:
+                  data.aliasing.components.length === 1
+                    ? `Alias (${+data.aliasing.components[0].apparent.toFixed(
+                        3
+                      )} Hz)`
+                    : "Alias (folded components)",
+                data: data.aliasing.aliasData,
+                borderColor: colors.granular,
+                borderDash: [6, 4],
+                borderWidth: 1.5,
+                type: "line",
+                pointRadius: 0,
+              },
+            ]
+          : []),
         {
           label: "Sampled",
           data: sampledData,
@@ -516,6 +2287,61 @@ function updateCharts() {
           type: "scatter",
           showLine: false,
         },
+        ...(data.jitter
+          ? [
+              {
+                label: "Actual Sample Instants",
+                data: data.jitter.instantData,
+                borderColor: colors.sampled,
+                backgroundColor: "transparent",
+                type: "scatter",
+                showLine: false,
+                pointStyle: "crossRot",
+                pointRadius: 5,
+                borderWidth: 1.5,
+              },
+            ]
+          : []),
+        ...(clippedData.length > 0
+          ? [
+              {
+                label:
+                  data.encodingMode === "dpcm"
+                    ? "Residual Overload"
+                    : data.encodingMode === "sdm"
+                    ? "Modulator Overload"
+                    : "Clipped",
+                data: clippedData,
+                borderColor: colors.clipped,
+                backgroundColor: "transparent",
+                type: "scatter",
+                showLine: false,
+                pointStyle: "rectRot",
+                pointRadius: 6,
+                borderWidth: 2,
+              },
+            ]
+          : []),
+        ...deltaRegionDatasets,
+        ...(data.rangeMin !== data.signalMin || data.rangeMax !== data.signalMax
+          ? [
+              {
+                label: "Full Scale",
+                data: [
+                  { x: data.startTime, y: data.rangeMax },
+                  { x: data.endTime, y: data.rangeMax },
+                  { x: NaN, y: NaN }, // Break the line between the bounds
+                  { x: data.startTime, y: data.rangeMin },
+                  { x: data.endTime, y: data.rangeMin },
+                ],
+                borderColor: colors.clipped,
+                borderDash: [4, 4],
+                borderWidth: 1,
+                type: "line",
+                spanGaps: false,
+              },
+            ]
+          : []),
       ],
     },
     {
@@ -535,210 +2361,1058 @@ function updateCharts() {
       ],
     },
     {
-      id: "reconstructedChart",
-      instance: reconstructedChartInstance,
-      options: createChartOptions(
-        "Reconstructed Amp.",
-        "Reconstructed Signal (ZOH)",
-        data
-      ),
+      id: "reconstructedChart",
+      instance: reconstructedChartInstance,
+      options: createChartOptions(
+        "Reconstructed Amp.",
+        `Reconstructed Signal (${
+          RECONSTRUCTION_LABELS[data.reconstruction.method]
+        })`,
+        data
+      ),
+      datasets: [
+        {
+          label: "Reconstructed",
+          data: reconstructedData,
+          borderColor: colors.reconstructed,
+          stepped: data.reconstruction.method === "zoh" ? "before" : false,
+          fill: false,
+        },
+        {
+          label: "Analog",
+          data: analogData,
+          borderColor: colors.analogOverlay,
+          borderWidth: 1,
+          fill: false,
+        },
+      ],
+    },
+    {
+      id: "transferChart",
+      instance: transferChartInstance,
+      options: createTransferChartOptions(data),
+      datasets: [
+        {
+          label: "Compression Curve",
+          data: transferCurve.compressor,
+          borderColor: colors.compressor,
+          borderDash: [6, 4],
+        },
+        {
+          label: "Quantizer Output",
+          data: transferCurve.staircase,
+          borderColor: colors.quantized,
+        },
+      ],
+    },
+    {
+      id: "errorChart",
+      instance: errorChartInstance,
+      options: createChartOptions(
+        "Quantization Error",
+        "Quantization Error",
+        data
+      ),
+      datasets: [
+        {
+          label: "Error",
+          data: errorData,
+          borderColor: colors.error,
+          backgroundColor: colors.error,
+          showLine: false,
+        },
+      ],
+    },
+    ...(data.encodingMode === "dm" || data.encodingMode === "adm"
+      ? [
+          {
+            id: "staircaseChart",
+            instance: staircaseChartInstance,
+            options: createChartOptions(
+              "Amplitude",
+              `Staircase Approximation (${data.encodingMode.toUpperCase()})`,
+              data
+            ),
+            datasets: [
+              {
+                label: "Staircase",
+                data: quantizedData,
+                borderColor: colors.quantized,
+                stepped: "before",
+                fill: false,
+              },
+              {
+                label: "Analog",
+                data: analogData,
+                borderColor: colors.analogOverlay,
+                borderWidth: 1,
+                fill: false,
+              },
+              ...deltaRegionDatasets,
+            ],
+          },
+        ]
+      : []),
+    ...(data.encodingMode !== "dpcm" && data.encodingMode !== "adpcm"
+      ? []
+      : [
+          {
+            id: "predictionChart",
+            instance: predictionChartInstance,
+            options: createChartOptions(
+              "Amplitude",
+              "Samples & Predictor Output",
+              data
+            ),
+            datasets: [
+              {
+                label: "Sampled",
+                data: sampledData,
+                borderColor: colors.sampled,
+                backgroundColor: colors.sampled,
+                type: "scatter",
+                showLine: false,
+              },
+              {
+                label: "Prediction",
+                data: predictionData,
+                borderColor: colors.compressor,
+                stepped: "before",
+                fill: false,
+              },
+            ],
+          },
+          {
+            id: "residualChart",
+            instance: residualChartInstance,
+            options: residualOptions,
+            datasets: [
+              {
+                label: "Residual",
+                data: residualData,
+                borderColor: colors.error,
+                backgroundColor: colors.error,
+                type: "scatter",
+                showLine: false,
+              },
+              {
+                label: "Quantized Residual",
+                data: quantizedResidualData,
+                borderColor: colors.quantized,
+                stepped: "before",
+                fill: false,
+              },
+            ],
+          },
+        ]),
+    {
+      id: "lineCodeChart",
+      instance: lineCodeChartInstance,
+      options: createLineCodeChartOptions(data),
+      datasets: [
+        {
+          label: LINE_CODE_LABELS[data.lineCoding.code],
+          data: data.lineCoding.waveform,
+          borderColor: colors.reconstructed,
+          stepped: "after",
+          pointRadius: 0,
+          fill: false,
+        },
+        ...(data.lineCoding.receivedWaveform
+          ? [
+              {
+                label: "Received (with noise)",
+                data: data.lineCoding.receivedWaveform,
+                borderColor: colors.analogOverlay,
+                borderWidth: 1,
+                stepped: "after",
+                pointRadius: 0,
+                fill: false,
+              },
+            ]
+          : []),
+      ],
+    },
+    {
+      id: "lineCodePsdChart",
+      instance: lineCodePsdChartInstance,
+      options: createLineCodePsdChartOptions(data),
+      datasets: [
+        {
+          label: "Continuous PSD",
+          data: data.lineCoding.psd,
+          borderColor: colors.analog,
+          pointRadius: 0,
+          fill: false,
+        },
+        ...(data.lineCoding.spectralLines.length > 0
+          ? [
+              {
+                label: "Spectral Lines (power)",
+                data: data.lineCoding.spectralLines,
+                borderColor: colors.sampled,
+                backgroundColor: colors.sampled,
+                type: "scatter",
+                showLine: false,
+                pointStyle: "triangle",
+                pointRadius: 5,
+              },
+            ]
+          : []),
+      ],
+    },
+    ...(data.spectra ? [createSpectrumChartConfig(data, colors)] : []),
+    ...(data.aliasing ? [createAliasingChartConfig(data, colors)] : []),
+    ...(data.sigmaDelta ? createSigmaDeltaChartConfigs(data, colors) : []),
+    ...(data.tdm ? [createTdmChartConfig(data, colors)] : []),
+    ...(data.prefilter
+      ? [
+          {
+            id: "prefilterChart",
+            instance: prefilterChartInstance,
+            options: createPrefilterChartOptions(data),
+            datasets: [
+              {
+                label: "|H(f)|",
+                data: data.prefilter.response,
+                borderColor: colors.compressor,
+                pointRadius: 0,
+                fill: false,
+              },
+              {
+                label: "fs/2",
+                data: [
+                  { x: data.samplingRate / 2, y: PREFILTER_FLOOR_DB },
+                  { x: data.samplingRate / 2, y: 10 },
+                ],
+                borderColor: colors.clipped,
+                borderDash: [4, 4],
+                borderWidth: 1,
+                pointRadius: 0,
+              },
+            ],
+          },
+        ]
+      : []),
+    ...(data.errorAnalysis
+      ? [
+          {
+            id: "errorSpectrumChart",
+            instance: errorSpectrumChartInstance,
+            options: createErrorSpectrumChartOptions(data),
+            datasets: [
+              {
+                label: "Error",
+                data: data.errorAnalysis.spectrum,
+                borderColor: colors.error,
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false,
+              },
+            ],
+          },
+          {
+            id: "errorHistogramChart",
+            instance: errorHistogramChartInstance,
+            options: createErrorHistogramChartOptions(data),
+            datasets: [
+              {
+                label: "Error Histogram",
+                data: data.errorAnalysis.histogram,
+                borderColor: colors.error,
+                backgroundColor: colors.error + "55", // Translucent fill
+                stepped: "after",
+                pointRadius: 0,
+                fill: "origin",
+              },
+            ],
+          },
+        ]
+      : []),
+  ];
+  renderCharts(chartConfigs);
+}
+
+// Creates each chart in `chartConfigs`, replacing the previous instance
+function renderCharts(chartConfigs) {
+  chartConfigs.forEach((config) => {
+    const ctx = document.getElementById(config.id)?.getContext("2d");
+    if (!ctx) return;
+
+    // Destroy previous instance if it exists
+    let chartInstance = window[`${config.id}Instance`]; // Access global instance variable
+    if (chartInstance) {
+      chartInstance.destroy();
+    }
+
+    // Create new chart instance
+    chartInstance = new Chart(ctx, {
+      // Determine chart type (scatter if multiple dataset types, else line)
+      type:
+        config.datasets.length > 1 &&
+        config.datasets.some((ds) => ds.type === "scatter")
+          ? "scatter"
+          : "line",
+      data: { datasets: config.datasets },
+      options: config.options,
+    });
+    window[`${config.id}Instance`] = chartInstance; // Store new instance globally
+  });
+}
+
+// Demultiplexed channels, with gaps where frames were lost, and the frame
+// sync events along the time axis
+function createTdmChartConfig(data, colors) {
+  const { tdm, samplingInterval, startTime, rangeMax } = data;
+  const palette = [
+    colors.analog,
+    colors.quantized,
+    colors.error,
+    colors.reconstructed,
+    colors.granular,
+    colors.compressor,
+    colors.sampled,
+  ];
+  const eventPoints = (type) =>
+    tdm.events
+      .filter((event) => event.type === type)
+      .map((event) => ({
+        x: startTime + event.frame * samplingInterval,
+        y: rangeMax,
+      }));
+  const lost = eventPoints("lost");
+  const reacquired = eventPoints("acquired").filter(
+    (point, i) => i > 0 || point.x > startTime
+  );
+  return {
+    id: "tdmChart",
+    instance: tdmChartInstance,
+    options: createTdmChartOptions(data),
+    datasets: [
+      ...tdm.channels.map((channel, ch) => ({
+        label: channel.label,
+        data: channel.recoveredData,
+        borderColor: palette[ch % palette.length],
+        stepped: "before",
+        pointRadius: 0,
+        spanGaps: false,
+        fill: false,
+      })),
+      ...(lost.length > 0
+        ? [
+            {
+              label: "Sync Lost",
+              data: lost,
+              borderColor: colors.clipped,
+              backgroundColor: "transparent",
+              type: "scatter",
+              showLine: false,
+              pointStyle: "crossRot",
+              pointRadius: 7,
+              borderWidth: 2,
+            },
+          ]
+        : []),
+      ...(reacquired.length > 0
+        ? [
+            {
+              label: "Sync Acquired",
+              data: reacquired,
+              borderColor: colors.quantized,
+              backgroundColor: "transparent",
+              type: "scatter",
+              showLine: false,
+              pointStyle: "triangle",
+              pointRadius: 6,
+              borderWidth: 2,
+            },
+          ]
+        : []),
+    ],
+  };
+}
+
+// Decode mode: the decoded levels and their reconstruction (there is no
+// analog signal to compare against)
+function createDecodedChartConfigs(data, colors) {
+  const { quantizedData, reconstructedData, reconstruction } = data;
+  return [
+    {
+      id: "quantizedChart",
+      instance: quantizedChartInstance,
+      options: createChartOptions("Decoded Amp.", "Decoded Levels", data),
+      datasets: [
+        {
+          label: "Decoded",
+          data: quantizedData,
+          borderColor: colors.quantized,
+          stepped: "before",
+          pointRadius: quantizedData.length < 60 ? 2.5 : 0,
+          pointBackgroundColor: colors.quantized,
+          backgroundColor: "transparent",
+        },
+      ],
+    },
+    {
+      id: "reconstructedChart",
+      instance: reconstructedChartInstance,
+      options: createChartOptions(
+        "Reconstructed Amp.",
+        `Reconstructed Signal (${
+          RECONSTRUCTION_LABELS[reconstruction.method]
+        })`,
+        data
+      ),
+      datasets: [
+        {
+          label: "Reconstructed",
+          data: reconstructedData,
+          borderColor: colors.reconstructed,
+          stepped: reconstruction.method === "zoh" ? "before" : false,
+          fill: false,
+        },
+      ],
+    },
+  ];
+}
+
+// Sigma-delta charts: the modulator output with its pulse density (the
+// moving average over one base-rate sample) against the input, and the
+// output spectrum on a log axis with the linear-model noise floor
+function createSigmaDeltaChartConfigs(data, colors) {
+  const { sigmaDelta, analogData } = data;
+  const { modulatorData, osr, spectrum } = sigmaDelta;
+  const densityStride = Math.max(
+    1,
+    Math.ceil(modulatorData.length / SDM_PLOT_MAX_SYMBOLS)
+  );
+  const densityData = [];
+  let sum = 0;
+  modulatorData.forEach((point, i) => {
+    sum += point.y - (i >= osr ? modulatorData[i - osr].y : 0);
+    if (i >= osr - 1 && (i - osr + 1) % densityStride === 0) {
+      // Centre of the averaging window
+      const centre = (point.x + modulatorData[i - osr + 1].x) / 2;
+      densityData.push({ x: centre, y: sum / osr });
+    }
+  });
+  const nyquist = data.samplingRate / 2;
+  const bandEdge = [
+    { x: nyquist, y: SPECTRUM_FLOOR_DB },
+    { x: nyquist, y: 0 },
+  ];
+  return [
+    {
+      id: "sdmOutputChart",
+      instance: sdmOutputChartInstance,
+      options: createSigmaDeltaOutputChartOptions(data),
       datasets: [
+        ...(modulatorData.length <= SDM_PLOT_MAX_SYMBOLS
+          ? [
+              {
+                label: "Modulator Output",
+                data: modulatorData,
+                borderColor: colors.compressor,
+                borderWidth: 1,
+                stepped: "before",
+                pointRadius: 0,
+                fill: false,
+              },
+            ]
+          : []),
         {
-          label: "Reconstructed",
-          data: reconstructedData,
+          label: `Pulse Density (${osr}-output average)`,
+          data: densityData,
           borderColor: colors.reconstructed,
-          stepped: "before",
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          label: "Analog",
+          data: analogData,
+          borderColor: colors.analogOverlay,
+          borderWidth: 1,
+          pointRadius: 0,
           fill: false,
         },
       ],
     },
     {
-      id: "errorChart",
-      instance: errorChartInstance,
-      options: createChartOptions(
-        "Quantization Error",
-        "Quantization Error",
-        data
-      ),
+      id: "sdmSpectrumChart",
+      instance: sdmSpectrumChartInstance,
+      options: createSigmaDeltaSpectrumChartOptions(data),
       datasets: [
         {
-          label: "Error",
-          data: errorData,
+          label: "Modulator Output",
+          data: spectrum.points,
+          borderColor: colors.compressor,
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          label: `NTF (order ${sigmaDelta.order}, linear model)`,
+          data: spectrum.ntf,
           borderColor: colors.error,
-          backgroundColor: colors.error,
-          showLine: false,
+          borderDash: [6, 4],
+          borderWidth: 1.5,
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          label: "fs/2 (signal band edge)",
+          data: bandEdge,
+          borderColor: colors.clipped,
+          borderDash: [4, 4],
+          borderWidth: 1,
+          pointRadius: 0,
         },
       ],
     },
   ];
+}
 
-  // Update or create each chart
-  chartConfigs.forEach((config, index) => {
-    const ctx = document.getElementById(config.id)?.getContext("2d");
-    if (!ctx) return;
-
-    // Destroy previous instance if it exists
-    let chartInstance = window[`${config.id}Instance`]; // Access global instance variable
-    if (chartInstance) {
-      chartInstance.destroy();
+// Folding diagram: the apparent-frequency zig-zag, the fold lines at
+// multiples of fs/2 and the signal components (aliased ones highlighted)
+function createAliasingChartConfig(data, colors) {
+  const { aliasing } = data;
+  const { nyquist } = aliasing;
+  const zones = Math.round(aliasing.diagramMax / nyquist);
+  const folding = [];
+  const foldLines = [];
+  for (let k = 0; k <= zones; k++) {
+    folding.push({ x: k * nyquist, y: k % 2 ? nyquist : 0 });
+    if (k > 0) {
+      foldLines.push(
+        { x: k * nyquist, y: 0 },
+        { x: k * nyquist, y: nyquist * 1.05 },
+        { x: NaN, y: NaN } // Break between the markers
+      );
     }
+  }
+  const toPoint = (c) => ({ x: c.frequency, y: c.apparent });
+  const aliased = aliasing.components.filter((c) => c.aliased);
+  const inBand = aliasing.components.filter((c) => !c.aliased);
+  return {
+    id: "aliasingChart",
+    instance: aliasingChartInstance,
+    options: createAliasingChartOptions(data),
+    datasets: [
+      {
+        label: "Apparent Frequency",
+        data: folding,
+        borderColor: colors.compressor,
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: "k·fs/2",
+        data: foldLines,
+        borderColor: colors.grid,
+        borderDash: [4, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        spanGaps: false,
+      },
+      ...(inBand.length > 0
+        ? [
+            {
+              label: "Components (no aliasing)",
+              data: inBand.map(toPoint),
+              borderColor: colors.quantized,
+              backgroundColor: colors.quantized,
+              type: "scatter",
+              showLine: false,
+              pointRadius: 5,
+            },
+          ]
+        : []),
+      ...(aliased.length > 0
+        ? [
+            {
+              label: "Aliased Components",
+              data: aliased.map(toPoint),
+              borderColor: colors.clipped,
+              backgroundColor: "transparent",
+              type: "scatter",
+              showLine: false,
+              pointStyle: "rectRot",
+              pointRadius: 6,
+              borderWidth: 2,
+            },
+          ]
+        : []),
+    ],
+  };
+}
 
-    // Create new chart instance
-    chartInstance = new Chart(ctx, {
-      // Determine chart type (scatter if multiple dataset types, else line)
-      type:
-        config.datasets.length > 1 &&
-        config.datasets.some((ds) => ds.type === "scatter")
-          ? "scatter"
-          : "line",
-      data: { datasets: config.datasets },
-      options: config.options,
-    });
-    window[`${config.id}Instance`] = chartInstance; // Store new instance globally
-  });
+// Four stage spectra with multiples of fs, the noise floor, peak and alias markers
+function createSpectrumChartConfig(data, colors) {
+  const { spectra, samplingRate } = data;
+  const traceColors = {
+    analog: colors.analog,
+    sampled: colors.sampled,
+    quantized: colors.quantized,
+    reconstructed: colors.reconstructed,
+  };
+  const samplingMultiples = [];
+  for (let k = 1; k <= SPECTRUM_IMAGE_SPAN; k++) {
+    samplingMultiples.push(
+      { x: k * samplingRate, y: spectra.minDb },
+      { x: k * samplingRate, y: spectra.maxDb },
+      { x: NaN, y: NaN } // Break between the markers
+    );
+  }
+  return {
+    id: "spectrumChart",
+    instance: spectrumChartInstance,
+    options: createSpectrumChartOptions(data),
+    datasets: [
+      ...Object.entries(spectra.traces).map(([key, trace]) => ({
+        label: SPECTRUM_TRACE_LABELS[key],
+        data: trace,
+        borderColor: traceColors[key],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      })),
+      {
+        label: "k·fs",
+        data: samplingMultiples,
+        borderColor: colors.compressor,
+        borderDash: [4, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        spanGaps: false,
+      },
+      {
+        label: "Quantized Noise Floor",
+        data: [
+          { x: 0, y: spectra.noiseFloorDb },
+          { x: spectra.maxFrequency, y: spectra.noiseFloorDb },
+        ],
+        borderColor: colors.quantized,
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+      },
+      ...(spectra.peaks.length > 0
+        ? [
+            {
+              label: "Peaks",
+              data: spectra.peaks,
+              borderColor: colors.text,
+              backgroundColor: "transparent",
+              type: "scatter",
+              showLine: false,
+              pointStyle: "triangle",
+              pointRadius: 5,
+            },
+          ]
+        : []),
+      ...(spectra.aliases.length > 0
+        ? [
+            {
+              label: "Aliased Components",
+              data: spectra.aliases,
+              borderColor: colors.clipped,
+              backgroundColor: "transparent",
+              type: "scatter",
+              showLine: false,
+              pointStyle: "rectRot",
+              pointRadius: 6,
+              borderWidth: 2,
+            },
+          ]
+        : []),
+    ],
+  };
 }
 
-// Function to update chart colors/options when theme changes
+// Function to update chart colors/options when theme changes. Options and
+// dataset colors are all derived from getChartColors(), so rebuilding the
+// charts from currentChartData picks up the new theme for every chart.
 function updateChartThemes() {
-  const chartInstances = [
-    window.analogSampledChartInstance,
-    window.quantizedChartInstance,
-    window.reconstructedChartInstance,
-    window.errorChartInstance,
-  ];
-  // Titles and Y-labels are now set directly within createChartOptions based on data,
-  // but we still need identifiers or context if logic depended on index here.
-  // For simplicity, we'll assume createChartOptions handles titles correctly based on context.
-  // Example titles/labels for context:
-  const yLabels = [
-    "Amplitude",
-    "Quantized Amp.",
-    "Reconstructed Amp.",
-    "Quantization Error",
-  ];
-  const titles = [
-    "Original Wave & Samples",
-    "Quantized Signal",
-    "Reconstructed Signal (ZOH)",
-    "Quantization Error",
-  ];
-
-  chartInstances.forEach((chart, index) => {
-    // Check if chart exists AND if we have data to base options on
-    if (chart && currentChartData && currentChartData.amplitude) {
-      // 1. Generate completely new options based on the current theme and data
-      // Pass the appropriate label/title for context if needed by createChartOptions internal logic
-      const newOptions = createChartOptions(
-        yLabels[index],
-        titles[index],
-        currentChartData
-      );
-
-      // *** KEY CHANGE: Replace the entire options object ***
-      chart.options = newOptions;
-
-      // 2. Update dataset colors directly (optional but good practice for reinforcement)
-      // This ensures dataset-specific colors also match the theme if not covered by general options
-      const colors = getChartColors();
-      const colorKeys = [
-        // Match dataset order in updateCharts
-        [colors.analog, colors.sampled],
-        [colors.quantized],
-        [colors.reconstructed],
-        [colors.error],
-      ];
-      chart.data.datasets.forEach((dataset, dsIndex) => {
-        if (colorKeys[index] && colorKeys[index][dsIndex]) {
-          const color = colorKeys[index][dsIndex];
-          dataset.borderColor = color;
-          // Only set backgroundColor for non-line datasets or if explicitly needed
-          if (
-            dataset.type === "scatter" ||
-            dataset.label?.includes("Sampled") ||
-            dataset.label?.includes("Error")
-          ) {
-            dataset.backgroundColor = color;
-          } else {
-            // Ensure line charts don't get filled unexpectedly unless desired
-            // dataset.backgroundColor = 'transparent'; // Or remove if not needed
-          }
-          if (dataset.pointBackgroundColor) {
-            // Check if property exists
-            dataset.pointBackgroundColor = color;
-          }
-        }
-      });
-
-      // 3. Update the chart to apply the new options and colors
-      chart.update("none"); // Use 'none' to avoid distracting animation during theme switch
-    }
-  });
+  updateCharts();
 }
 
 // --- Output Displays (SNR, Table, PCM Code) --- - Minor updates for safety/formatting
 
-function displayPcmOutput(pcmCodes) {
+function displayPcmOutput(pcmCodes, separator = " ") {
   if (!pcmCodes) {
     pcmOutputElement.textContent = "";
     return;
   }
-  pcmOutputElement.textContent = pcmCodes.join(" "); // Use single space for wrapping
+  pcmOutputElement.textContent = pcmCodes.join(separator); // Use single space for wrapping
 }
 
-function displaySNR(sampled, quantized) {
-  // ... (SNR calculation remains largely the same, ensure safety checks)
-  if (
-    !sampled ||
-    sampled.length === 0 ||
-    !quantized ||
-    quantized.length !== sampled.length
-  ) {
+// `reference` (optional) is { label, data } with the same samples through
+// uniform PCM at equal bits, shown alongside companded and differential results
+function displaySNR(sampled, quantized, reference) {
+  const snrDb = calculateSNR(sampled, quantized);
+  if (snrDb === null) {
     snrDisplayElement.textContent = "SNR: N/A";
     return;
   }
-  let signalPower = 0;
-  let noisePower = 0;
-  const n = sampled.length;
-  if (n === 0) {
-    snrDisplayElement.textContent = "SNR: N/A";
+  let text = `SNR: ${formatSNR(snrDb)}`;
+  if (reference) {
+    const referenceSnrDb = calculateSNR(sampled, reference.data);
+    text += ` · ${reference.label}: ${
+      referenceSnrDb === null ? "N/A" : formatSNR(referenceSnrDb)
+    }`;
+  }
+  snrDisplayElement.textContent = text;
+}
+
+// Measured error rates over the simulated channel and the SNR of the decoded
+// samples against the originals (quantization and channel errors together)
+function displayChannelStats(data) {
+  const { channel, sampledData, receivedData } = data;
+  if (!channel || channel.type === "none") {
+    channelDisplayElement.textContent = "";
     return;
   }
+  const ber = channel.bitCount ? channel.bitErrors / channel.bitCount : 0;
+  const wer = channel.wordCount ? channel.wordErrors / channel.wordCount : 0;
+  const endToEndSnrDb = calculateSNR(sampledData, receivedData);
+  channelDisplayElement.textContent = `BER: ${ber.toExponential(2)} (${
+    channel.bitErrors
+  } / ${channel.bitCount} bits) · WER: ${wer.toExponential(2)} (${
+    channel.wordErrors
+  } / ${channel.wordCount} words) · End-to-end SNR: ${
+    endToEndSnrDb === null ? "N/A" : formatSNR(endToEndSnrDb)
+  }`;
+}
 
-  for (let i = 0; i < n; i++) {
-    const signalVal = sampled[i].y;
-    const errorVal = signalVal - (quantized[i]?.y ?? 0);
-    signalPower += signalVal * signalVal;
-    noisePower += errorVal * errorVal;
-  }
-  signalPower /= n;
-  noisePower /= n;
-  // ... (Rest of SNR formatting logic remains the same) ...
-  let snrDb;
-  const epsilon = 1e-12;
-  if (noisePower < epsilon) {
-    snrDb = Infinity;
-  } else if (signalPower < epsilon) {
-    snrDb = -Infinity;
-  } else {
-    snrDb = 10 * Math.log10(signalPower / noisePower);
+function displayBitRate({ numBits, samplingRate, sigmaDelta }) {
+  if (!numBits) {
+    bitRateDisplayElement.textContent = "";
+    return;
   }
+  const modulator = sigmaDelta
+    ? ` · Modulator: ${
+        sigmaDelta.outputBits
+      }-bit at ${+sigmaDelta.modulatorRate.toFixed(3)} Hz (OSR ${
+        sigmaDelta.osr
+      })`
+    : "";
+  bitRateDisplayElement.textContent = `Bits/sample: ${numBits} · Bit rate: ${+(
+    numBits * samplingRate
+  ).toFixed(3)} bit/s${modulator}`;
+}
 
-  if (isFinite(snrDb)) {
-    snrDisplayElement.textContent = `SNR: ${snrDb.toFixed(2)} dB`;
-  } else if (snrDb === Infinity) {
-    snrDisplayElement.textContent = "SNR: ∞ dB";
-  } else {
-    snrDisplayElement.textContent = "SNR: N/A";
+function formatSNR(snrDb) {
+  if (isFinite(snrDb)) return `${snrDb.toFixed(2)} dB`;
+  return snrDb < 0 ? "-∞ dB" : "∞ dB";
+}
+
+function displayQualityMetrics(data) {
+  qualityMetricsElement.innerHTML = "";
+  metricsNotesElement.innerHTML = "";
+  if (!data.sampledData?.length) return;
+  const metrics = computeQualityMetrics(data, spectrumWindowSelect.value);
+  const { tone } = metrics;
+  const formatValue = (value, unit = "") =>
+    value === null || value === undefined
+      ? "N/A"
+      : `${value.toFixed(4)}${unit}`;
+  const lsb = (value) =>
+    metrics.step ? ` (${(value / metrics.step).toFixed(2)} LSB)` : "";
+
+  const rows = [
+    [
+      metrics.theoryLabel,
+      `${metrics.theoreticalSnrDb.toFixed(2)} dB (N = ${metrics.theoryBits})`,
+    ],
+    [
+      "Measured SNR",
+      metrics.measuredSnrDb === null
+        ? "N/A"
+        : `${formatSNR(metrics.measuredSnrDb)}${
+            isFinite(metrics.measuredSnrDb)
+              ? ` (${(metrics.measuredSnrDb - metrics.theoreticalSnrDb).toFixed(
+                  2
+                )} dB vs theory)`
+              : ""
+          }`,
+    ],
+    ["SINAD", tone ? formatSNR(tone.sinadDb) : "N/A"],
+    ["ENOB", metrics.enob === null ? "N/A" : `${metrics.enob.toFixed(2)} bits`],
+    ["THD", tone ? formatSNR(tone.thdDb) : "N/A"],
+    ["SFDR", tone ? `${formatSNR(tone.sfdrDb)}c` : "N/A"],
+    [
+      "Peak Error",
+      `${formatValue(metrics.peakError)}${lsb(metrics.peakError)}`,
+    ],
+    [
+      "RMS Error",
+      `${formatValue(metrics.rmsError)}${
+        metrics.step
+          ? ` (Δ/√12 = ${(metrics.step / Math.sqrt(12)).toFixed(4)})`
+          : ""
+      }`,
+    ],
+    [
+      "Test Tone",
+      tone ? `${tone.frequency.toFixed(3)} Hz (strongest component)` : "N/A",
+    ],
+  ];
+  rows.forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const description = document.createElement("dd");
+    description.textContent = value;
+    qualityMetricsElement.append(term, description);
+  });
+  metrics.notes.forEach((note) => {
+    const item = document.createElement("li");
+    item.textContent = note;
+    metricsNotesElement.appendChild(item);
+  });
+}
+
+function displayClippingStats(data) {
+  const { sampledData, clippedFlags, rangeMin, rangeMax, encodingMode } = data;
+  const total = sampledData?.length || 0;
+  const clippedCount = clippedFlags?.filter(Boolean).length || 0;
+  clipDisplayElement.classList.toggle("has-clipping", clippedCount > 0);
+  if (total === 0) {
+    clipDisplayElement.textContent = "";
+    return;
+  }
+  // In DPCM a flag marks a residual beyond the residual quantizer instead,
+  // and in sigma-delta a saturated integrator during the sample's word
+  const label =
+    encodingMode === "dpcm"
+      ? "Residual overload"
+      : encodingMode === "sdm"
+      ? "Modulator overload"
+      : "Clipped";
+  let text = `${label}: ${clippedCount} / ${total} samples (${(
+    (clippedCount / total) *
+    100
+  ).toFixed(1)}%)`;
+  if (clippedCount > 0 && encodingMode !== "dpcm" && encodingMode !== "sdm") {
+    // Largest excursion beyond the quantizer range, relative to full scale
+    const overload = sampledData.reduce(
+      (max, sample) => Math.max(max, sample.y - rangeMax, rangeMin - sample.y),
+      0
+    );
+    const fullScale = Math.max(Math.abs(rangeMin), Math.abs(rangeMax));
+    text += ` · Peak overload: ${overload.toFixed(4)} (${(
+      (overload / fullScale) *
+      100
+    ).toFixed(1)}% of full scale)`;
+  }
+  clipDisplayElement.textContent = text;
+}
+
+function displayDeltaModulationStats(data) {
+  const { deltaRegions, slopeOverloadData, granularData } = data;
+  if (!deltaRegions?.length) {
+    dmDisplayElement.textContent = "";
+    return;
+  }
+  const total = deltaRegions.length;
+  const percent = (count) => ((count / total) * 100).toFixed(1);
+  dmDisplayElement.textContent = `Slope overload: ${
+    slopeOverloadData.length
+  } / ${total} samples (${percent(
+    slopeOverloadData.length
+  )}%) · Granular noise: ${granularData.length} / ${total} samples (${percent(
+    granularData.length
+  )}%)`;
+}
+
+// Jitter-limited against quantization-limited SNR, and which one dominates
+function displayJitterStats(data) {
+  const { jitter } = data;
+  if (!jitter) {
+    jitterDisplayElement.textContent = "";
+    return;
+  }
+  const parts = [];
+  if (jitter.offset) {
+    parts.push(
+      `Sampling offset: ${+(jitter.offset * 1000).toFixed(
+        4
+      )} ms (a fixed delay, excluded from the jitter SNR)`
+    );
+  }
+  if (jitter.type !== "none" && jitter.rms) {
+    const theory = jitter.theory
+      ? ` (theory ${formatSNR(jitter.theory.snrDb)} at ${
+          data.aliasing?.components.length === 1 ? "" : "RMS frequency "
+        }${+jitter.theory.frequency.toFixed(3)} Hz)`
+      : "";
+    const quantizationSnrDb = calculateSNR(
+      data.sampledData,
+      data.quantizedData
+    );
+    let text = `Jitter-limited SNR: ${
+      jitter.measuredSnrDb === null ? "N/A" : formatSNR(jitter.measuredSnrDb)
+    }${theory} · Quantization-limited SNR: ${
+      quantizationSnrDb === null ? "N/A" : formatSNR(quantizationSnrDb)
+    }`;
+    if (jitter.measuredSnrDb !== null && quantizationSnrDb !== null) {
+      text += ` → ${
+        jitter.measuredSnrDb < quantizationSnrDb ? "jitter" : "quantization"
+      } dominates`;
+    }
+    parts.push(text);
+  }
+  jitterDisplayElement.textContent = parts.join(" · ");
+}
+
+// Where the components land after sampling; empty for signals without a
+// known frequency content (expressions and WAV files)
+function displayAliasing({ aliasing }) {
+  if (!aliasing) {
+    aliasDisplayElement.textContent = "";
+    return;
+  }
+  const nyquist = `fs/2 = ${+aliasing.nyquist.toFixed(3)} Hz`;
+  const aliased = aliasing.components.filter((c) => c.aliased);
+  if (aliased.length === 0) {
+    aliasDisplayElement.textContent = `No aliasing: every component is at or below ${nyquist}`;
+    return;
+  }
+  const describe = (c) => {
+    const notes = [
+      ...(c.inverted ? ["phase-inverted"] : []),
+      ...(c.gain < 1 - 1e-6
+        ? [`${(20 * Math.log10(c.gain)).toFixed(1)} dB after the prefilter`]
+        : []),
+    ];
+    return `${+c.frequency.toFixed(3)} Hz → ${+c.apparent.toFixed(3)} Hz${
+      notes.length ? ` (${notes.join(", ")})` : ""
+    }`;
+  };
+  const listed = aliased.slice(0, ALIAS_LIST_LIMIT).map(describe).join(", ");
+  const more =
+    aliased.length > ALIAS_LIST_LIMIT
+      ? `, … ${aliased.length - ALIAS_LIST_LIMIT} more`
+      : "";
+  aliasDisplayElement.textContent =
+    aliasing.components.length === 1
+      ? `Aliasing: ${listed} · folded about ${nyquist}`
+      : `Aliasing: ${aliased.length} of ${aliasing.components.length} components fold about ${nyquist}: ${listed}${more}`;
+}
+
+// Frame layout, aggregate rate and the demultiplexer's sync history, plus
+// the frame map and the first frames bit by bit
+function displayTdm({ tdm }) {
+  tdmFrameMapElement.innerHTML = "";
+  if (!tdm) {
+    tdmDisplayElement.textContent = "";
+    tdmFrameBitsElement.textContent = "";
+    return;
+  }
+  const { format, channels } = tdm;
+  const nominal = TDM_NOMINAL_RATES[tdm.layout]
+    ? ` (${TDM_NOMINAL_RATES[tdm.layout] / 1e6} Mbit/s at 8000 frames/s)`
+    : "";
+  const losses = tdm.events.filter((event) => event.type === "lost").length;
+  const misframed = tdm.misframed ? `, ${tdm.misframed} from a false lock` : "";
+  const channelSnr = channels
+    .map(
+      (channel) =>
+        `${channel.label} ${
+          channel.snrDb === null ? "N/A" : formatSNR(channel.snrDb)
+        }`
+    )
+    .join(", ");
+  tdmDisplayElement.textContent = `TDM ${TDM_LAYOUT_LABELS[tdm.layout]}: ${
+    channels.length
+  } channels · ${format.frameBits} bits/frame at ${+tdm.frameRate.toFixed(
+    3
+  )} frames/s · Aggregate: ${+tdm.aggregateBitRate.toFixed(
+    3
+  )} bit/s${nominal} · Frame sync lost ${losses}× · Frames in sync: ${
+    tdm.framesInSync
+  } / ${tdm.frameCount}${misframed} · Recovered SNR: ${channelSnr}`;
+
+  format.slots.forEach((slot) => {
+    const cell = document.createElement("span");
+    const inUse = slot.type !== "channel" || slot.channel < channels.length;
+    cell.className = `tdm-slot tdm-${inUse ? slot.type : "idle"}`;
+    cell.style.flexGrow = slot.bits;
+    cell.textContent =
+      slot.type === "sync"
+        ? "S"
+        : slot.type === "channel"
+        ? slot.channel + 1
+        : "Sig";
+    cell.title = `Bits ${slot.offset}-${slot.offset + slot.bits - 1}: ${
+      slot.type === "sync"
+        ? "frame sync"
+        : slot.type === "signalling"
+        ? "signalling (idle)"
+        : inUse
+        ? `channel ${slot.channel + 1}`
+        : "idle channel"
+    }`;
+    tdmFrameMapElement.append(cell);
+  });
+  const frames = [];
+  for (let n = 0; n * format.frameBits < tdm.previewBits.length; n++) {
+    const frame = tdm.previewBits.slice(
+      n * format.frameBits,
+      (n + 1) * format.frameBits
+    );
+    const fields = format.slots.map((slot) =>
+      frame.slice(slot.offset, slot.offset + slot.bits)
+    );
+    frames.push(`Frame ${n}: ${fields.join(" ")}`);
+  }
+  tdmFrameBitsElement.textContent = frames.join("\n");
+}
+
+function displayReconstructionError(data) {
+  const { reconstructionRmsError, amplitude, reconstruction } = data;
+  if (reconstructionRmsError === undefined || isNaN(reconstructionRmsError)) {
+    reconstructionErrorElement.textContent = "";
+    return;
   }
+  reconstructionErrorElement.textContent = `Reconstruction RMS error (${
+    RECONSTRUCTION_LABELS[reconstruction.method]
+  } vs analog): ${reconstructionRmsError.toFixed(4)} (${(
+    (reconstructionRmsError / amplitude) *
+    100
+  ).toFixed(2)}% of full scale)`;
 }
 
 function populatePcmTable(data) {
-  const { sampledData, quantizedData, errorData, pcmCodes } = data;
+  const {
+    sampledData,
+    quantizedData,
+    errorData,
+    pcmCodes,
+    clippedFlags,
+    deltaRegions,
+    codeFormat,
+  } = data;
   pcmTableBody.innerHTML = "";
-  if (!sampledData || sampledData.length === 0) return;
+  codeHeaderElement.textContent = codeFormat
+    ? `Code (${CODE_FORMAT_LABELS[codeFormat]})`
+    : "Code";
+  quantizedHeaderElement.textContent = data.decoded ? "Decoded" : "Quantized";
+  displayBitFlipSummary(data);
+  if (!quantizedData || quantizedData.length === 0) return;
 
-  sampledData.forEach((sample, index) => {
+  // Decoded bitstreams have no sampled values or errors
+  quantizedData.forEach((point, index) => {
     const row = pcmTableBody.insertRow();
+    if (clippedFlags?.[index]) {
+      row.classList.add("clipped-row");
+      row.title = "Sample outside the quantizer range (clipped)";
+    } else if (deltaRegions?.[index] === "overload") {
+      row.classList.add("slope-overload-row");
+      row.title = "Slope overload: the staircase cannot keep up";
+    } else if (deltaRegions?.[index] === "granular") {
+      row.classList.add("granular-row");
+      row.title = "Granular noise: the staircase hunts around the input";
+    }
     const createCell = (text, isMono = false) => {
       const cell = row.insertCell();
       cell.textContent = text;
@@ -746,12 +3420,668 @@ function populatePcmTable(data) {
       return cell;
     };
     createCell(index);
-    createCell(sample.x.toFixed(4));
-    createCell(sample.y.toFixed(4));
-    createCell(quantizedData[index]?.y?.toFixed(4) ?? "-");
-    createCell(errorData[index]?.y?.toFixed(4) ?? "-");
+    createCell(point.x.toFixed(4));
+    createCell(sampledData?.[index]?.y?.toFixed(4) ?? "-");
+    createCell(point.y.toFixed(4));
+    createCell(errorData?.[index]?.y?.toFixed(4) ?? "-");
     createCell(pcmCodes[index] ?? "-", true);
+    createCell(
+      index > 0 && pcmCodes[index] && pcmCodes[index - 1]
+        ? countBitFlips(pcmCodes[index - 1], pcmCodes[index])
+        : "-"
+    );
+  });
+}
+
+// Bits flipped between consecutive words, totalled for every code format
+// over the same level sequence (a single-bit channel error in a word that
+// flips few bits between neighbours lands on a nearby level)
+function displayBitFlipSummary({ levelIndices, numBits, codeFormat }) {
+  bitFlipSummaryElement.innerHTML = "";
+  if (!levelIndices || levelIndices.length < 2) return;
+  bitFlipSummaryElement.append("Bit flips between consecutive samples: ");
+  Object.entries(CODE_FORMAT_LABELS).forEach(([format, label], i) => {
+    const codes = levelIndices.map((level) =>
+      formatLevelCode(level, numBits, format)
+    );
+    const flips = codes
+      .slice(1)
+      .reduce((sum, code, n) => sum + countBitFlips(codes[n], code), 0);
+    const item = document.createElement(
+      format === codeFormat ? "strong" : "span"
+    );
+    item.textContent = `${label} ${flips} (${(
+      flips /
+      (codes.length - 1)
+    ).toFixed(2)}/sample)`;
+    if (i > 0) bitFlipSummaryElement.append(" · ");
+    bitFlipSummaryElement.append(item);
+  });
+}
+
+// --- WAV Export ---
+// What the quantized WAV holds: uniform PCM (and decoded bitstreams) write
+// each level index as a signed code at the bits the levels need, centred on
+// the middle level. The other coders' outputs are not on such a grid
+// (companded levels, DPCM/DM accumulators, sigma-delta averages), so their
+// values are rendered as 16-bit samples with the quantizer peak at full scale.
+// WAV rates are whole hertz, so `rate` is fs rounded (at least 1 Hz) and
+// `isRateRounded` flags a file that plays at a different rate than fs.
+function getQuantizedWavFormat(data) {
+  const levelBits = Math.max(1, Math.ceil(Math.log2(data.numLevels)));
+  const isUniformPcm =
+    data.decoded ||
+    (data.encodingMode === "pcm" && data.quantizerType === "uniform");
+  const rate = Math.max(1, Math.round(data.samplingRate));
+  return {
+    ...(data.levelIndices && isUniformPcm && levelBits <= 32
+      ? { levelCodes: true, bits: levelBits }
+      : { levelCodes: false, bits: QUANTIZED_WAV_RENDER_BITS }),
+    rate,
+    isRateRounded: rate !== data.samplingRate,
+  };
+}
+
+function exportQuantizedWav() {
+  const data = currentChartData;
+  const { quantizedData, samplingRate, numLevels, levelIndices, amplitude } =
+    data;
+  if (!quantizedData?.length) return;
+  const { levelCodes, bits, rate, isRateRounded } = getQuantizedWavFormat(data);
+  // One WAV sample per PCM sample. encodeWav floors x · 2^(bits-1), which
+  // lands exactly on a code c passed as c / 2^(bits-1).
+  const halfRange = 2 ** (bits - 1);
+  const samples = levelCodes
+    ? levelIndices.map(
+        (level) => (level - Math.floor(numLevels / 2)) / halfRange
+      )
+    : quantizedData.map((point) => point.y / amplitude);
+  const content = levelCodes ? "codes" : "values";
+  // A rounded rate names fs as well, so files from different settings differ
+  const rateName = isRateRounded
+    ? `${rate}Hz-from-${samplingRate}Hz`
+    : `${rate}Hz`;
+  downloadBlob(
+    new Blob([encodeWav(samples, rate, bits)], { type: "audio/wav" }),
+    `pcm-quantized-${content}-${rateName}-${bits}bit.wav`
+  );
+}
+
+function exportReconstructedWav() {
+  const {
+    receivedData,
+    reconstructedData,
+    reconstruction,
+    startTime,
+    amplitude,
+  } = currentChartData;
+  if (!reconstructedData?.length) return;
+  // Render the chosen reconstruction at audio rate
+  const endTime = reconstructedData[reconstructedData.length - 1].x;
+  const count = Math.max(
+    1,
+    Math.round((endTime - startTime) * RECONSTRUCTED_WAV_RATE)
+  );
+  const times = Array.from(
+    { length: count },
+    (_, i) => startTime + i / RECONSTRUCTED_WAV_RATE
+  );
+  const samples = reconstructSignal(receivedData, times, reconstruction).map(
+    (value) => value / amplitude
+  );
+  downloadBlob(
+    new Blob(
+      [encodeWav(samples, RECONSTRUCTED_WAV_RATE, RECONSTRUCTED_WAV_BITS)],
+      { type: "audio/wav" }
+    ),
+    `pcm-reconstructed-${reconstruction.method}-${RECONSTRUCTED_WAV_RATE}Hz.wav`
+  );
+}
+
+// Builds a mono integer PCM WAV from samples in ±1. Bit depths that are not a
+// whole number of bytes go in the next larger container with
+// WAVE_FORMAT_EXTENSIBLE declaring the valid bits (low bits left at zero).
+function encodeWav(samples, sampleRate, validBits) {
+  const containerBits = Math.min(32, Math.max(8, Math.ceil(validBits / 8) * 8));
+  const bits = Math.min(validBits, containerBits);
+  const bytesPerSample = containerBits / 8;
+  const extensible = bits !== containerBits;
+  const fmtSize = extensible ? 40 : 16;
+  const dataSize = samples.length * bytesPerSample;
+  const buffer = new ArrayBuffer(
+    12 + 8 + fmtSize + 8 + dataSize + (dataSize % 2)
+  );
+  const view = new DataView(buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+  };
+
+  writeTag(0, "RIFF");
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeTag(8, "WAVE");
+  writeTag(12, "fmt ");
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, extensible ? 0xfffe : 1, true);
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerSample, true); // Byte rate
+  view.setUint16(32, bytesPerSample, true); // Block align
+  view.setUint16(34, containerBits, true);
+  if (extensible) {
+    view.setUint16(36, 22, true); // Extension size
+    view.setUint16(38, bits, true); // Valid bits per sample
+    view.setUint32(40, 0x4, true); // Channel mask: front center
+    // KSDATAFORMAT_SUBTYPE_PCM GUID
+    [
+      0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa,
+      0x00, 0x38, 0x9b, 0x71,
+    ].forEach((byte, i) => view.setUint8(44 + i, byte));
+  }
+  const dataOffset = 20 + fmtSize;
+  writeTag(dataOffset, "data");
+  view.setUint32(dataOffset + 4, dataSize, true);
+
+  // floor() maps the 2^bits mid-rise levels of a ±1 quantizer exactly onto
+  // the signed codes -2^(bits-1) .. 2^(bits-1)-1
+  const halfRange = 2 ** (bits - 1);
+  const shift = 2 ** (containerBits - bits);
+  for (let i = 0; i < samples.length; i++) {
+    const code = Math.floor((samples[i] || 0) * halfRange);
+    const value = Math.max(-halfRange, Math.min(halfRange - 1, code)) * shift;
+    const offset = dataOffset + 8 + i * bytesPerSample;
+    switch (containerBits) {
+      case 8:
+        view.setUint8(offset, value + 128); // 8-bit WAV is unsigned
+        break;
+      case 16:
+        view.setInt16(offset, value, true);
+        break;
+      case 24:
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+        break;
+      default:
+        view.setInt32(offset, value, true);
+    }
+  }
+  return buffer;
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// --- Data Export ---
+// Enables the downloads the current run can produce
+function updateExportButtons(data) {
+  const hasSamples = Boolean(data.quantizedData?.length);
+  exportQuantizedWavButton.disabled = !hasSamples;
+  if (hasSamples) {
+    const { levelCodes, bits, rate, isRateRounded } =
+      getQuantizedWavFormat(data);
+    const content = levelCodes
+      ? `Level codes as ${bits}-bit samples`
+      : `Quantized values rendered as ${bits}-bit samples`;
+    exportQuantizedWavButton.title = isRateRounded
+      ? `${content} at ${rate} Hz: WAV rates are whole hertz, so fs = ${data.samplingRate} Hz plays back at ${rate} Hz`
+      : `${content} at ${rate} Hz`;
+  }
+  exportReconstructedWavButton.disabled = !data.reconstructedData?.length;
+  exportCsvButton.disabled = !hasSamples;
+  exportJsonButton.disabled = !hasSamples;
+  exportReportButton.disabled = !hasSamples;
+  exportBitstreamButton.disabled = !data.pcmCodes?.join("").length;
+  updateChartExportButtons();
+}
+
+// The traces of a run; decoded bitstreams have no analog, sampled or error trace
+function getExportSeries(data) {
+  return [
+    { name: "analog", points: data.analogData },
+    { name: "sampled", points: data.sampledData },
+    { name: "quantized", points: data.quantizedData, codes: data.pcmCodes },
+    { name: "reconstructed", points: data.reconstructedData },
+    { name: "error", points: data.errorData },
+  ].filter(({ points }) => points?.length);
+}
+
+// Long form, one row per point: the traces sit on different time grids, so
+// they cannot share rows. Quantized rows carry their code word.
+function exportDataCsv() {
+  if (!currentChartData.quantizedData?.length) return;
+  const rows = [["series", "index", "time", "value", "code"]];
+  getExportSeries(currentChartData).forEach(({ name, points, codes }) => {
+    points.forEach((point, i) => {
+      rows.push([name, i, point.x, point.y ?? "", codes?.[i] ?? ""]);
+    });
+  });
+  const csv = rows.map((row) => row.join(",")).join("\n") + "\n";
+  downloadBlob(new Blob([csv], { type: "text/csv" }), "pcm-data.csv");
+}
+
+function exportDataJson() {
+  const data = currentChartData;
+  if (!data.quantizedData?.length) return;
+  const json = JSON.stringify({
+    settings: getFormState(), // Differences from the defaults, as in the permalink
+    decoded: Boolean(data.decoded),
+    encodingMode: data.encodingMode,
+    codeFormat: data.codeFormat,
+    samplingRate: data.samplingRate,
+    numLevels: data.numLevels,
+    numBits: data.numBits,
+    startTime: data.startTime,
+    endTime: data.endTime,
+    ...Object.fromEntries(
+      getExportSeries(data).map(({ name, points }) => [name, points])
+    ),
+    codes: data.pcmCodes,
+  });
+  downloadBlob(new Blob([json], { type: "application/json" }), "pcm-data.json");
+}
+
+// The serialized words packed MSB first; the last byte is padded with zeros,
+// so the file name records the bit count
+function exportBitstream() {
+  const bits = currentChartData.pcmCodes?.join("") ?? "";
+  if (!bits) return;
+  const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+  for (let i = 0; i < bits.length; i++) {
+    if (bits[i] === "1") bytes[i >> 3] |= 0x80 >> (i & 7);
+  }
+  downloadBlob(
+    new Blob([bytes], { type: "application/octet-stream" }),
+    `pcm-bitstream-${bits.length}bits.bin`
+  );
+}
+
+// --- Chart Export ---
+// Only charts currently on screen can be exported
+function getExportableChart(id) {
+  const chart = window[`${id}Instance`];
+  const canvas = document.getElementById(id);
+  return chart && canvas && !canvas.closest("[hidden]") ? chart : null;
+}
+
+function updateChartExportButtons() {
+  const isExportable = Boolean(getExportableChart(exportChartSelect.value));
+  exportChartPngButton.disabled = !isExportable;
+  exportChartSvgButton.disabled = !isExportable;
+}
+
+function getChartFileName(id, extension) {
+  return `pcm-${id.replace(/Chart$/, "")}-chart.${extension}`;
+}
+
+// The chart canvas is transparent, so the PNG is drawn over the chart background
+function exportChartPng() {
+  const id = exportChartSelect.value;
+  const chart = getExportableChart(id);
+  if (!chart) return;
+  const canvas = document.createElement("canvas");
+  canvas.width = chart.canvas.width;
+  canvas.height = chart.canvas.height;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = getComputedStyle(document.body)
+    .getPropertyValue("--chart-bg")
+    .trim();
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(chart.canvas, 0, 0);
+  canvas.toBlob(
+    (blob) => downloadBlob(blob, getChartFileName(id, "png")),
+    "image/png"
+  );
+}
+
+function exportChartSvg() {
+  const id = exportChartSelect.value;
+  const chart = getExportableChart(id);
+  if (!chart) return;
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>\n${buildChartSvg(chart)}`;
+  downloadBlob(
+    new Blob([svg], { type: "image/svg+xml" }),
+    getChartFileName(id, "svg")
+  );
+}
+
+function escapeXml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+}
+
+// Redraws a rendered chart as vector SVG from Chart.js's own layout (element
+// positions, scale ticks, title and legend boxes), so it lines up with the
+// canvas. Lines run straight between points; the slight tension some traces
+// are drawn with is not reproduced.
+function buildChartSvg(chart) {
+  const { width, height, chartArea: area } = chart;
+  const colors = getChartColors();
+  const background = getComputedStyle(document.body)
+    .getPropertyValue("--chart-bg")
+    .trim();
+  const fontSize = Chart.defaults.font.size;
+  const round = (value) => +value.toFixed(2);
+  const element = (tag, attributes, content) => {
+    const attributeText = Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join("");
+    return content === undefined
+      ? `<${tag}${attributeText}/>`
+      : `<${tag}${attributeText}>${content}</${tag}>`;
+  };
+  const text = (x, y, content, attributes = {}) =>
+    element(
+      "text",
+      { x: round(x), y: round(y), fill: colors.text, ...attributes },
+      escapeXml(content)
+    );
+  const parts = [element("rect", { width, height, fill: background })];
+
+  // Grid lines, tick labels and axis titles
+  Object.values(chart.scales).forEach((scale) => {
+    const isHorizontal = scale.isHorizontal();
+    scale.ticks.forEach((tick, i) => {
+      const position = round(scale.getPixelForTick(i));
+      const label = [tick.label].flat().join(" ");
+      parts.push(
+        isHorizontal
+          ? element("line", {
+              x1: position,
+              y1: area.top,
+              x2: position,
+              y2: area.bottom,
+              stroke: colors.grid,
+            })
+          : element("line", {
+              x1: area.left,
+              y1: position,
+              x2: area.right,
+              y2: position,
+              stroke: colors.grid,
+            }),
+        isHorizontal
+          ? text(position, area.bottom + fontSize + 4, label, {
+              "text-anchor": "middle",
+            })
+          : text(area.left - 8, position + fontSize / 3, label, {
+              "text-anchor": "end",
+            })
+      );
+    });
+    const title = scale.options.title;
+    if (title?.display && title.text) {
+      const center = isHorizontal
+        ? (area.left + area.right) / 2
+        : (area.top + area.bottom) / 2;
+      parts.push(
+        isHorizontal
+          ? text(center, scale.bottom - 4, title.text, {
+              "text-anchor": "middle",
+            })
+          : text(scale.left + fontSize, center, title.text, {
+              "text-anchor": "middle",
+              transform: `rotate(-90 ${round(scale.left + fontSize)} ${round(
+                center
+              )})`,
+            })
+      );
+    }
   });
+
+  // Datasets, clipped to the chart area as on the canvas
+  const traces = [];
+  chart.data.datasets.forEach((dataset, i) => {
+    if (!chart.isDatasetVisible(i)) return;
+    const meta = chart.getDatasetMeta(i);
+    const points = meta.data.filter(
+      (point) => !point.skip && isFinite(point.x) && isFinite(point.y)
+    );
+    const showLine = dataset.showLine ?? meta.type !== "scatter";
+    if (showLine && meta.dataset) {
+      const { borderColor, borderWidth, borderDash, stepped } =
+        meta.dataset.options;
+      let path = "";
+      let previous = null;
+      meta.data.forEach((point) => {
+        if (point.skip || !isFinite(point.x) || !isFinite(point.y)) {
+          previous = null; // A gap breaks the line
+          return;
+        }
+        const x = round(point.x);
+        const y = round(point.y);
+        if (!previous) path += `M${x} ${y}`;
+        else if (stepped === "after") path += `V${y}H${x}`;
+        else if (stepped === "middle") {
+          path += `H${round((previous.x + point.x) / 2)}V${y}H${x}`;
+        } else if (stepped) path += `H${x}V${y}`; // true or "before"
+        else path += `L${x} ${y}`;
+        previous = point;
+      });
+      traces.push(
+        element("path", {
+          d: path,
+          fill: "none",
+          stroke: borderColor,
+          "stroke-width": borderWidth,
+          "stroke-dasharray": borderDash?.length
+            ? borderDash.join(" ")
+            : undefined,
+        })
+      );
+    }
+    points.forEach((point) => {
+      const { radius, pointStyle, backgroundColor, borderColor, borderWidth } =
+        point.options;
+      if (!(radius > 0)) return;
+      const x = round(point.x);
+      const y = round(point.y);
+      const r = round(radius);
+      const stroke = { stroke: borderColor, "stroke-width": borderWidth };
+      if (pointStyle === "crossRot") {
+        traces.push(
+          element("path", {
+            d: `M${x - r} ${y - r}L${x + r} ${y + r}M${x - r} ${y + r}L${
+              x + r
+            } ${y - r}`,
+            ...stroke,
+          })
+        );
+      } else if (pointStyle === "rectRot") {
+        traces.push(
+          element("path", {
+            d: `M${x} ${y - r}L${x + r} ${y}L${x} ${y + r}L${x - r} ${y}Z`,
+            fill: backgroundColor,
+            ...stroke,
+          })
+        );
+      } else {
+        traces.push(
+          element("circle", {
+            cx: x,
+            cy: y,
+            r,
+            fill: backgroundColor,
+            ...stroke,
+          })
+        );
+      }
+    });
+  });
+  // Scoped to the canvas so several charts can share one page (the report)
+  const clipId = `${chart.canvas.id}-area`;
+  parts.push(
+    element(
+      "clipPath",
+      { id: clipId },
+      element("rect", {
+        x: round(area.left),
+        y: round(area.top),
+        width: round(area.right - area.left),
+        height: round(area.bottom - area.top),
+      })
+    ),
+    element("g", { "clip-path": `url(#${clipId})` }, traces.join(""))
+  );
+
+  // Title and legend, at the places Chart.js laid them out
+  const titleOptions = chart.options.plugins.title;
+  if (titleOptions?.display && chart.titleBlock) {
+    const block = chart.titleBlock;
+    const padding = Chart.helpers.toPadding(titleOptions.padding);
+    parts.push(
+      text(
+        block.left + block.width / 2,
+        block.top + padding.top + (block.height - padding.height) / 2,
+        titleOptions.text,
+        {
+          "text-anchor": "middle",
+          "dominant-baseline": "middle",
+          "font-size": titleOptions.font.size,
+          "font-weight": titleOptions.font.weight,
+        }
+      )
+    );
+  }
+  const legend = chart.legend;
+  if (legend?.options.display && legend.legendHitBoxes) {
+    const { boxWidth } = legend.options.labels;
+    legend.legendItems.forEach((item, i) => {
+      const box = legend.legendHitBoxes[i];
+      if (!box) return;
+      const centerY = round(box.top + box.height / 2);
+      parts.push(
+        element("circle", {
+          cx: round(box.left + boxWidth / 2),
+          cy: centerY,
+          r: round(boxWidth / 3),
+          fill: item.fillStyle,
+          stroke: item.strokeStyle,
+          "stroke-width": item.lineWidth,
+        }),
+        text(box.left + boxWidth + fontSize / 2, centerY, item.text, {
+          "dominant-baseline": "middle",
+          "text-decoration": item.hidden ? "line-through" : undefined,
+        })
+      );
+    });
+  }
+
+  return element(
+    "svg",
+    {
+      xmlns: "http://www.w3.org/2000/svg",
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`,
+      "font-family": Chart.defaults.font.family,
+      "font-size": fontSize,
+    },
+    parts.join("")
+  );
+}
+
+// --- Lab Report ---
+// One self-contained HTML file: the visible parameters grouped as in the
+// form, the metrics, the four time-domain charts as SVG and the sample table
+function exportLabReport() {
+  const data = currentChartData;
+  if (!data.quantizedData?.length) return;
+  const parameterSections = Array.from(pcmForm.querySelectorAll("fieldset"))
+    .filter(
+      (fieldset) => !fieldset.closest("[hidden]") && fieldset !== presetControls
+    )
+    .map((fieldset) => {
+      const rows = getStateFields()
+        .filter(
+          (field) =>
+            field.closest("fieldset") === fieldset && !field.closest("[hidden]")
+        )
+        .map((field) => {
+          const label = pcmForm
+            .querySelector(`label[for="${field.id}"]`)
+            ?.textContent.replace(/:\s*$/, "");
+          const value =
+            field.tagName === "SELECT"
+              ? field.selectedOptions[0]?.textContent
+              : field.value || field.placeholder;
+          return [label || field.id, value];
+        });
+      if (fieldset.contains(toneList) && !toneList.closest("[hidden]")) {
+        rows.push(["Tone Components", formatTones(getToneComponents())]);
+      }
+      if (
+        fieldset.contains(wavInfoElement) &&
+        !wavInfoElement.closest("[hidden]")
+      ) {
+        rows.push(["WAV File", wavInfoElement.textContent]);
+      }
+      if (rows.length === 0) return "";
+      const legend = fieldset.querySelector("legend").textContent;
+      return `<h3>${escapeXml(legend)}</h3><table>${rows
+        .map(
+          ([label, value]) =>
+            `<tr><th>${escapeXml(label)}</th><td>${escapeXml(
+              value ?? ""
+            )}</td></tr>`
+        )
+        .join("")}</table>`;
+    })
+    .join("");
+  const charts = Array.from(exportChartSelect.options)
+    .map((option) => getExportableChart(option.value))
+    .filter(Boolean)
+    .map((chart) => `<figure>${buildChartSvg(chart)}</figure>`)
+    .join("");
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>PCM Lab Report</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #333; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; font-weight: normal; }
+th { background: #f5f7fa; }
+dt { font-weight: 600; }
+figure { margin: 1em 0; }
+figure svg { max-width: 100%; height: auto; }
+pre { white-space: pre-wrap; word-break: break-all; background: #f0f0f0; padding: 1em; }
+.clipped-row { background: rgba(229, 57, 53, 0.12); }
+</style>
+</head>
+<body>
+<h1>PCM Lab Report</h1>
+<p>Generated ${escapeXml(new Date().toLocaleString())} · <a href="${escapeXml(
+    location.href
+  )}">Reproduce this run</a></p>
+<h2>Parameters</h2>
+${parameterSections}
+<h2>Metrics</h2>
+<div>${metricsElement.innerHTML}</div>
+<h2>Charts</h2>
+${charts}
+<h2>Samples</h2>
+${pcmTableElement.outerHTML}
+<h2>PCM Output</h2>
+<pre>${escapeXml(pcmOutputElement.textContent)}</pre>
+</body>
+</html>
+`;
+  downloadBlob(new Blob([html], { type: "text/html" }), "pcm-lab-report.html");
 }
 
 // Make instances accessible globally (alternative to passing them around constantly)
@@ -759,3 +4089,17 @@ window.analogSampledChartInstance = analogSampledChartInstance;
 window.quantizedChartInstance = quantizedChartInstance;
 window.reconstructedChartInstance = reconstructedChartInstance;
 window.errorChartInstance = errorChartInstance;
+window.transferChartInstance = transferChartInstance;
+window.predictionChartInstance = predictionChartInstance;
+window.residualChartInstance = residualChartInstance;
+window.staircaseChartInstance = staircaseChartInstance;
+window.lineCodeChartInstance = lineCodeChartInstance;
+window.lineCodePsdChartInstance = lineCodePsdChartInstance;
+window.spectrumChartInstance = spectrumChartInstance;
+window.errorSpectrumChartInstance = errorSpectrumChartInstance;
+window.errorHistogramChartInstance = errorHistogramChartInstance;
+window.prefilterChartInstance = prefilterChartInstance;
+window.aliasingChartInstance = aliasingChartInstance;
+window.sdmOutputChartInstance = sdmOutputChartInstance;
+window.sdmSpectrumChartInstance = sdmSpectrumChartInstance;
+window.tdmChartInstance = tdmChartInstance;
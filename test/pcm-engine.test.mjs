@@ -0,0 +1,248 @@
+// Run with `node --test` from the repository root
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildTdm,
+  buildZohStaircase,
+  calculateSNR,
+  createQuantizer,
+  formatLevelCode,
+  generatePCMData,
+  parseLevelCode,
+  reconstructSignal,
+} from "../pcm-engine.mjs";
+
+const sine = { waveform: "sine", frequency: 1, amplitude: 1, phase: 0 };
+const run = (options) =>
+  generatePCMData({
+    signal: sine,
+    samplingRate: 20,
+    numLevels: 8,
+    startTime: 0,
+    endTime: 1,
+    ...options,
+  });
+const assertClose = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+
+describe("non-power-of-two level counts", () => {
+  it("codes 5 levels in 3 bits without using the spare codes", () => {
+    const data = run({ numLevels: 5 });
+    assert.equal(data.numBits, 3);
+    assert.equal(data.numLevels, 5);
+    assert.deepEqual([...new Set(data.pcmCodes)].sort(), [
+      "000",
+      "001",
+      "010",
+      "011",
+      "100",
+    ]);
+    assert.ok(data.levelIndices.every((level) => level >= 0 && level < 5));
+    assert.equal(new Set(data.quantizedData.map((point) => point.y)).size, 5);
+  });
+
+  it("clips to the top level instead of an unused code", () => {
+    const quantizer = createQuantizer({
+      type: "uniform",
+      numLevels: 5,
+      rangeMin: -1,
+      rangeMax: 1,
+    });
+    const top = quantizer.quantize(1);
+    assert.equal(top.level, 4);
+    assert.equal(top.clipped, false);
+    const over = quantizer.quantize(2);
+    assert.equal(over.code, "100");
+    assert.equal(over.clipped, true);
+  });
+
+  it("keeps a zero level for an odd mid-tread count", () => {
+    const quantizer = createQuantizer({
+      type: "uniform",
+      numLevels: 5,
+      rangeMin: -1,
+      rangeMax: 1,
+      midTread: true,
+    });
+    assert.equal(quantizer.quantize(0.01).value, 0);
+  });
+
+  it("round-trips every level through each code format", () => {
+    for (const format of ["offset", "twos", "sign", "gray", "folded"]) {
+      for (let level = 0; level < 5; level++) {
+        const code = formatLevelCode(level, 3, format);
+        assert.equal(code.length, 3);
+        assert.equal(parseLevelCode(code, 3, format), level, format);
+      }
+    }
+  });
+});
+
+describe("start times off the sample grid", () => {
+  it("samples at startTime + n / fs up to and including endTime", () => {
+    const data = run({ startTime: 0.013, endTime: 1.013 });
+    assert.equal(data.sampledData.length, 21);
+    data.sampledData.forEach(({ x, y }, n) => {
+      assertClose(x, 0.013 + n / 20);
+      assertClose(y, Math.sin(2 * Math.PI * x));
+    });
+  });
+
+  it("stops at the last grid point before an off-grid endTime", () => {
+    const data = run({ startTime: 0.013, endTime: 1.04 });
+    assert.equal(data.sampledData.length, 21);
+    assertClose(data.sampledData.at(-1).x, 1.013);
+  });
+
+  it("starts the analog trace and the staircase at startTime", () => {
+    const data = run({ startTime: 0.3, endTime: 0.9 });
+    assertClose(data.analogData[0].x, 0.3);
+    assertClose(data.analogData.at(-1).x, 0.9);
+    assertClose(data.reconstructedData[0].x, 0.3);
+  });
+});
+
+describe("signals that are not finite", () => {
+  const logSignal = { waveform: "expression", expression: "log(t)" };
+
+  it("rejects a sample the clock offset moves onto a pole", () => {
+    assert.throws(
+      () =>
+        run({
+          signal: logSignal,
+          startTime: 0.05,
+          jitter: { type: "none", offset: -0.1 },
+        }),
+      /not finite at t = -0\.0500 s/
+    );
+  });
+
+  it("rejects a pole on the analog trace", () => {
+    assert.throws(
+      () => run({ signal: logSignal }),
+      /not finite at t = 0\.0000/
+    );
+  });
+});
+
+describe("ZOH staircase", () => {
+  const samples = [
+    { x: 0, y: 1 },
+    { x: 0.1, y: 3 },
+    { x: 0.2, y: 2 },
+  ];
+
+  it("holds each level until the next sample", () => {
+    assert.deepEqual(buildZohStaircase(samples, 0, 0.2, 0.1), [
+      { x: 0, y: 1 },
+      { x: 0.1, y: 1 },
+      { x: 0.1, y: 3 },
+      { x: 0.2, y: 3 },
+      { x: 0.2, y: 2 },
+    ]);
+  });
+
+  it("holds the last level for one interval at most", () => {
+    const tail = buildZohStaircase(samples, 0, 5, 0.1).at(-1);
+    assertClose(tail.x, 0.3);
+    assert.equal(tail.y, 2);
+  });
+
+  it("ends the tail at an endTime between samples", () => {
+    const data = run({ endTime: 1.02 });
+    const tail = data.reconstructedData.at(-1);
+    assertClose(tail.x, 1.02);
+    assert.equal(tail.y, data.quantizedData.at(-1).y);
+  });
+
+  it("adds no tail point when endTime is the last sample", () => {
+    const data = run({ startTime: 0.3, endTime: 0.9 });
+    const points = data.reconstructedData;
+    assert.equal(points.length, 2 * data.quantizedData.length - 1);
+    assert.deepEqual(points.at(-1), data.quantizedData.at(-1));
+    points.slice(1).forEach((point, i) => {
+      assert.ok(point.x >= points[i].x, "time runs backwards");
+    });
+  });
+});
+
+describe("reconstruction", () => {
+  const samples = [
+    { x: 0, y: 1 },
+    { x: 0.1, y: 3 },
+    { x: 0.2, y: 2 },
+  ];
+  const times = [0, 0.05, 0.1, 0.2];
+
+  it("holds or interpolates between samples", () => {
+    assert.deepEqual(
+      [...reconstructSignal(samples, times, { method: "zoh" })],
+      [1, 1, 3, 2]
+    );
+    assert.deepEqual(
+      [...reconstructSignal(samples, times, { method: "foh" })],
+      [1, 2, 3, 2]
+    );
+  });
+});
+
+describe("SNR", () => {
+  const samples = [1, -0.5, 0.25].map((y, x) => ({ x, y }));
+
+  it("is infinite without error and undefined without a signal", () => {
+    assert.equal(calculateSNR(samples, samples), Infinity);
+    assert.equal(calculateSNR([], []), null);
+    assert.equal(calculateSNR(samples, samples.slice(1)), null);
+  });
+
+  it("follows 6.02 N + 1.76 dB for a full-scale sine", () => {
+    const data = run({
+      signal: { ...sine, frequency: 7 },
+      samplingRate: 1000,
+      numLevels: 256,
+    });
+    assertClose(calculateSNR(data.sampledData, data.quantizedData), 49.92, 0.5);
+  });
+});
+
+describe("TDM", () => {
+  const channel = { type: "none" };
+  const signals = [{ waveform: "sine", frequency: 2, amplitude: 1 }];
+
+  it("codes an encode-only channel like a full run", () => {
+    const full = run({ channel: { type: "bsc", errorProbability: 0.1 } });
+    const codes = run({ encodeOnly: true });
+    assert.deepEqual(codes.pcmCodes, full.pcmCodes);
+    assert.equal(codes.lineCoding, undefined);
+    assert.deepEqual(
+      codes.decodeWords(codes.pcmCodes),
+      full.quantizedData.map(({ y }) => y)
+    );
+  });
+
+  it("rejects words too long for a T1 slot", () => {
+    const data = run({ numLevels: 512 });
+    assert.throws(
+      () => buildTdm([data, data], { layout: "t1", signals }, channel, "nrzl"),
+      /slots hold 8 bits, but each sample takes 9/
+    );
+  });
+
+  it("rejects a channel whose words do not match the frame", () => {
+    const data = run({ numLevels: 8 });
+    const longer = run({ numLevels: 16 });
+    assert.throws(
+      () =>
+        buildTdm(
+          [data, longer],
+          { layout: "custom", signals, syncWord: "1110010" },
+          channel,
+          "nrzl"
+        ),
+      /Channel 2 word 1 has 4 bits; the Custom frame expects 3/
+    );
+  });
+});